@@ -71,7 +71,28 @@ export class Camera {
         this.y = Physics.lerp(this.y, this.targetY, this.lerpSpeed * dt);
         this.zoom = Physics.lerp(this.zoom, this.targetZoom, this.zoomLerpSpeed * dt);
 
-        // Update shake
+        this.updateShake(dt);
+    }
+
+    /**
+     * Move the camera directly (free look), in world units
+     */
+    panBy(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.targetX = this.x;
+        this.targetY = this.y;
+    }
+
+    /**
+     * Multiply the zoom, clamped to the usual range
+     */
+    zoomBy(factor) {
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.zoom * factor));
+        this.targetZoom = this.zoom;
+    }
+
+    updateShake(dt) {
         if (this.shakeTimer > 0) {
             this.shakeTimer -= dt;
             const progress = this.shakeTimer / this.shakeDuration;
@@ -0,0 +1,26 @@
+// =============================================
+// IdCounter.js — Network ids for the entities of one match
+// =============================================
+
+/**
+ * Hands out ids for projectiles, meteorites and pickups. A MatchSimulation
+ * owns one and resets it with the match, so the same seed and inputs give
+ * the same ids too.
+ */
+export class IdCounter {
+    constructor() {
+        this.last = 0;
+    }
+
+    next() {
+        return ++this.last;
+    }
+
+    /**
+     * Never hand out `id` (or anything below it) again: it belongs to an
+     * entity made elsewhere, e.g. by the host we took over from
+     */
+    skipPast(id) {
+        if (id > this.last) this.last = id;
+    }
+}
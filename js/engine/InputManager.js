@@ -41,7 +41,10 @@ export class InputManager {
         // =====================
         window.addEventListener('keydown', (e) => {
             this._keys.add(e.code);
-            if (e.code === 'Space' || e.code === 'ArrowUp' || e.code === 'KeyW') {
+            // Holding the key jumps once: auto-repeat used to re-jump at the
+            // repeat rate (up to ~30/s), which is as fast as the host's
+            // jump-spam check can see, so no limit could tell the two apart
+            if (!e.repeat && (e.code === 'Space' || e.code === 'ArrowUp' || e.code === 'KeyW')) {
                 this._jumpOneShot = true;
             }
         });
@@ -79,6 +79,27 @@ export const Physics = {
         return diff.normalize().scale(Math.min(force, 3500));
     },
 
+    /**
+     * gravityAccel for a body at (x, y), written into `out` ({ x, y })
+     * instead of new vectors; for loops that run every tick
+     */
+    gravityAccelInto(x, y, planet, out) {
+        const dx = planet.x - x, dy = planet.y - y;
+        const distSq = dx * dx + dy * dy;
+        const dist = Math.sqrt(distSq);
+
+        if (dist < planet.radius * 0.5) {
+            out.x = 0;
+            out.y = 0;
+            return out;
+        }
+
+        const force = Math.min((this.GRAVITY_CONSTANT * planet.mass) / distSq, 3500);
+        out.x = dx / dist * force;
+        out.y = dy / dist * force;
+        return out;
+    },
+
     /**
      * Find the nearest planet to a position
      */
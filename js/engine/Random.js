@@ -0,0 +1,52 @@
+// =============================================
+// Random.js — Seedable random numbers for everything gameplay rolls
+// =============================================
+
+/**
+ * Small, fast PRNG (mulberry32). Two instances with the same seed roll the
+ * same numbers in the same order, so a match replays exactly from its seed
+ * and inputs. Cosmetic randomness (particles, camera shake, stars) keeps
+ * using Math.random.
+ */
+export class Random {
+    constructor(seed = Random.randomSeed()) {
+        this.seed = seed >>> 0;
+        this._state = this.seed;
+    }
+
+    /**
+     * A fresh 32-bit seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Float in [0, 1), like Math.random()
+     */
+    next() {
+        this._state = (this._state + 0x6D2B79F5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [0, count)
+     */
+    int(count) {
+        return Math.floor(this.next() * count);
+    }
+
+    pick(list) {
+        return list[this.int(list.length)];
+    }
+}
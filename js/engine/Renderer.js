@@ -215,6 +215,8 @@ export class Renderer {
         ctx.fill();
         ctx.globalAlpha = 1;
 
+        this._drawCosmetic(player.cosmetic, pColor, -22 + bobY);
+
         // Backpack
         ctx.fillStyle = this._darken(pColor, 30);
         ctx.fillRect(-12, -4 + bobY, 4, 12);
@@ -314,6 +316,36 @@ export class Renderer {
         ctx.textAlign = 'center';
         ctx.fillText(player.name, player.x, player.y - 35 * (player.surfaceAngle !== undefined ? 1 : 1));
         ctx.restore();
+
+        const bubble = player.chatBubble;
+        if (bubble && bubble.until > performance.now()) this._drawChatBubble(player, bubble);
+    }
+
+    /**
+     * Speech bubble above the name tag; fades out over its last 400 ms
+     */
+    _drawChatBubble(player, bubble) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalAlpha = Math.min(1, (bubble.until - performance.now()) / 400);
+        ctx.font = '11px "Exo 2", sans-serif';
+        const width = Math.min(ctx.measureText(bubble.text).width, 160) + 12;
+        const x = player.x - width / 2;
+        const y = player.y - 66;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+        ctx.beginPath();
+        ctx.roundRect(x, y, width, 18, 6);
+        ctx.moveTo(player.x - 4, y + 18);
+        ctx.lineTo(player.x, y + 23);
+        ctx.lineTo(player.x + 4, y + 18);
+        ctx.fill();
+
+        ctx.fillStyle = '#111';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(bubble.text, player.x, y + 9.5, 160);
+        ctx.restore();
     }
 
     // ---- Projectile ----
@@ -356,6 +388,26 @@ export class Renderer {
         ctx.restore();
     }
 
+    /**
+     * The path a projectile took (killcam), as far as `points` ({ x, y }) go
+     */
+    drawProjectilePath(points, color) {
+        if (points.length < 2) return;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalAlpha = 0.6;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([10, 8]);
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
     // ---- Meteorite ----
     drawMeteorite(met) {
         const ctx = this.ctx;
@@ -456,6 +508,58 @@ export class Renderer {
         ctx.globalAlpha = 1;
     }
 
+    /**
+     * Helmet decoration chosen in the lobby; `top` is the helmet's top edge
+     */
+    _drawCosmetic(cosmetic, color, top) {
+        const ctx = this.ctx;
+        switch (cosmetic) {
+            case 'antenna':
+                ctx.strokeStyle = '#bbb';
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                ctx.moveTo(3, top + 2);
+                ctx.lineTo(6, top - 8);
+                ctx.stroke();
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(6, top - 9, 2.5, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            case 'crown':
+                ctx.fillStyle = '#ffd600';
+                ctx.beginPath();
+                ctx.moveTo(-6, top + 2);
+                ctx.lineTo(-6, top - 5);
+                ctx.lineTo(-3, top - 1);
+                ctx.lineTo(0, top - 7);
+                ctx.lineTo(3, top - 1);
+                ctx.lineTo(6, top - 5);
+                ctx.lineTo(6, top + 2);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            case 'halo':
+                ctx.strokeStyle = '#fff6a0';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.ellipse(0, top - 5, 8, 2.5, 0, 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+            case 'horns':
+                ctx.fillStyle = '#e53935';
+                for (const side of [-1, 1]) {
+                    ctx.beginPath();
+                    ctx.moveTo(side * 3, top + 2);
+                    ctx.lineTo(side * 9, top - 6);
+                    ctx.lineTo(side * 8, top + 4);
+                    ctx.closePath();
+                    ctx.fill();
+                }
+                break;
+        }
+    }
+
     // ---- Helpers ----
     _lighten(hex, percent) {
         const rgb = this._hexToRgb(hex);
@@ -0,0 +1,88 @@
+// =============================================
+// SpatialHash.js — Uniform grid broadphase for circle queries
+// =============================================
+
+// Cell coordinates are packed into one small-integer key (fast Map lookups);
+// that's ±1024 cells each way, far past anywhere the void lets things go
+const OFFSET = 1024;
+const SPAN = 2048;
+const EMPTY = [];
+
+/**
+ * Buckets things by the grid cells their bounding circle touches, so a
+ * query only looks at what's nearby instead of everything. Rebuild it
+ * (clear + insert) whenever what's in it moves. Buckets and the result
+ * array are reused, so steady-state use doesn't allocate.
+ *
+ *   grid.clear();
+ *   for (const p of players) grid.insert(p, p.x, p.y, p.radius);
+ *   for (const p of grid.query(x, y, r)) ...   // candidates; test them exactly
+ */
+export class SpatialHash {
+    constructor(cellSize = 128) {
+        this.cellSize = cellSize;
+        this._cells = new Map();     // key -> [items]
+        this._used = [];             // Buckets filled since the last clear
+        this._results = [];
+        this.maxCells = 4096;        // Forget empty buckets past this many
+    }
+
+    clear() {
+        for (const bucket of this._used) bucket.length = 0;
+        this._used.length = 0;
+        // Things that wandered far off leave buckets behind; don't keep them forever
+        if (this._cells.size > this.maxCells) this._cells.clear();
+    }
+
+    insert(item, x, y, radius = 0) {
+        const size = this.cellSize;
+        const x0 = Math.floor((x - radius) / size);
+        const x1 = Math.floor((x + radius) / size);
+        const y0 = Math.floor((y - radius) / size);
+        const y1 = Math.floor((y + radius) / size);
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const key = (cx + OFFSET) * SPAN + (cy + OFFSET);
+                let bucket = this._cells.get(key);
+                if (!bucket) {
+                    bucket = [];
+                    this._cells.set(key, bucket);
+                }
+                if (bucket.length === 0) this._used.push(bucket);
+                bucket.push(item);
+            }
+        }
+    }
+
+    /**
+     * Everything whose cells overlap the circle, each once. The array is
+     * shared (with the grid, or the next query), so only read it, and
+     * before querying again.
+     */
+    query(x, y, radius = 0) {
+        const size = this.cellSize;
+        const x0 = Math.floor((x - radius) / size);
+        const x1 = Math.floor((x + radius) / size);
+        const y0 = Math.floor((y - radius) / size);
+        const y1 = Math.floor((y + radius) / size);
+
+        // One cell (points, small things): its bucket is the answer
+        if (x0 === x1 && y0 === y1) {
+            return this._cells.get((x0 + OFFSET) * SPAN + (y0 + OFFSET)) || EMPTY;
+        }
+
+        const results = this._results;
+        results.length = 0;
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const bucket = this._cells.get((cx + OFFSET) * SPAN + (cy + OFFSET));
+                if (!bucket) continue;
+                for (let i = 0; i < bucket.length; i++) {
+                    // Buckets hold a handful of things, so a scan beats a Set
+                    if (results.indexOf(bucket[i]) === -1) results.push(bucket[i]);
+                }
+            }
+        }
+        return results;
+    }
+}
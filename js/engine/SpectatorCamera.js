@@ -0,0 +1,205 @@
+// =============================================
+// SpectatorCamera.js — Auto-director and free-look camera for spectators
+// =============================================
+
+/**
+ * Drives the shared Camera while spectating.
+ *   director: follows whoever is in the middle of the action, holding each
+ *             shot for a few seconds so the view doesn't flick around
+ *   free:     drag to pan, wheel/pinch to zoom, WASD/arrows to move
+ * C (or the HUD button) switches between the two.
+ */
+export class SpectatorCamera {
+    constructor(camera, canvas) {
+        this.camera = camera;
+        this.canvas = canvas;
+        this.active = false;
+        this.mode = 'director';
+        this.onModeChange = null;
+
+        // Director
+        this.focusId = null;
+        this.focusHold = 0;
+        this.minHold = 3;          // Seconds before the director may cut away
+        this.heat = new Map();     // playerId -> recent action score (decays)
+        this.heatHalfLife = 4;
+        this.groupRadius = 500;    // Players this close to the focus stay in frame
+
+        // Free look
+        this.panSpeed = 700;       // World units/sec at zoom 1
+        this._keys = new Set();
+        this._drag = null;         // { id, x, y }
+        this._pinch = null;        // { dist }
+
+        this._bindAll();
+    }
+
+    _bindAll() {
+        window.addEventListener('keydown', (e) => {
+            if (!this.active) return;
+            if (e.code === 'KeyC') this.toggleMode();
+            this._keys.add(e.code);
+        });
+        window.addEventListener('keyup', (e) => this._keys.delete(e.code));
+
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (!this.active || this.mode !== 'free') return;
+            this._drag = { id: 'mouse', x: e.clientX, y: e.clientY };
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (this._drag && this._drag.id === 'mouse') this._dragTo(e.clientX, e.clientY);
+        });
+        window.addEventListener('mouseup', () => {
+            if (this._drag && this._drag.id === 'mouse') this._drag = null;
+        });
+
+        this.canvas.addEventListener('wheel', (e) => {
+            if (!this.active || this.mode !== 'free') return;
+            e.preventDefault();
+            this.camera.zoomBy(e.deltaY < 0 ? 1.1 : 1 / 1.1);
+        }, { passive: false });
+
+        this.canvas.addEventListener('touchstart', (e) => {
+            if (!this.active || this.mode !== 'free') return;
+            e.preventDefault();
+            this._touchesChanged(e.touches);
+        }, { passive: false });
+        this.canvas.addEventListener('touchmove', (e) => {
+            if (!this.active || this.mode !== 'free') return;
+            e.preventDefault();
+            if (e.touches.length >= 2 && this._pinch) {
+                const dist = this._touchDist(e.touches);
+                this.camera.zoomBy(dist / this._pinch.dist);
+                this._pinch.dist = dist;
+            } else if (e.touches.length === 1 && this._drag) {
+                this._dragTo(e.touches[0].clientX, e.touches[0].clientY);
+            }
+        }, { passive: false });
+        this.canvas.addEventListener('touchend', (e) => this._touchesChanged(e.touches));
+        this.canvas.addEventListener('touchcancel', (e) => this._touchesChanged(e.touches));
+    }
+
+    _touchesChanged(touches) {
+        this._drag = null;
+        this._pinch = null;
+        if (touches.length === 1) {
+            this._drag = { id: touches[0].identifier, x: touches[0].clientX, y: touches[0].clientY };
+        } else if (touches.length >= 2) {
+            this._pinch = { dist: this._touchDist(touches) };
+        }
+    }
+
+    _touchDist(touches) {
+        return Math.hypot(
+            touches[0].clientX - touches[1].clientX,
+            touches[0].clientY - touches[1].clientY
+        ) || 1;
+    }
+
+    _dragTo(x, y) {
+        const zoom = this.camera.zoom;
+        this.camera.panBy(-(x - this._drag.x) / zoom, -(y - this._drag.y) / zoom);
+        this._drag.x = x;
+        this._drag.y = y;
+    }
+
+    setActive(active) {
+        this.active = active;
+        this.focusId = null;
+        this.focusHold = 0;
+        this.heat.clear();
+        this._drag = null;
+        this._pinch = null;
+    }
+
+    toggleMode() {
+        this.mode = this.mode === 'director' ? 'free' : 'director';
+        this._drag = null;
+        this._pinch = null;
+        if (this.onModeChange) this.onModeChange(this.mode);
+    }
+
+    /**
+     * Feed game events to the director so it knows where the action is
+     */
+    noteEvent(event) {
+        const bump = (id, amount) => {
+            if (id) this.heat.set(id, (this.heat.get(id) || 0) + amount);
+        };
+        if (event.type === 'kill') {
+            bump(event.killerId, 3);
+            bump(event.victimId, 2);
+        } else if (event.type === 'hit') {
+            bump(event.targetId, 1);
+        }
+    }
+
+    update(dt, players, planets) {
+        if (this.mode === 'free') {
+            this._updateFree(dt);
+        } else {
+            this._updateDirector(dt, players, planets);
+        }
+    }
+
+    _updateFree(dt) {
+        let dx = 0;
+        let dy = 0;
+        if (this._keys.has('ArrowLeft') || this._keys.has('KeyA')) dx -= 1;
+        if (this._keys.has('ArrowRight') || this._keys.has('KeyD')) dx += 1;
+        if (this._keys.has('ArrowUp') || this._keys.has('KeyW')) dy -= 1;
+        if (this._keys.has('ArrowDown') || this._keys.has('KeyS')) dy += 1;
+        if (dx || dy) {
+            const step = this.panSpeed / this.camera.zoom * dt;
+            this.camera.panBy(dx * step, dy * step);
+        }
+        this.camera.updateShake(dt);
+    }
+
+    _updateDirector(dt, players, planets) {
+        const decay = Math.pow(0.5, dt / this.heatHalfLife);
+        for (const [id, value] of this.heat) {
+            this.heat.set(id, value * decay);
+        }
+
+        const alive = players.filter(p => p.alive);
+        if (alive.length === 0) {
+            if (planets.length > 0) this.camera.follow([{ x: planets[0].x, y: planets[0].y }], dt);
+            return;
+        }
+
+        // Score: recent kills/hits plus how many others are close by
+        const r2 = this.groupRadius * this.groupRadius;
+        const score = (p) => {
+            let nearby = 0;
+            for (const other of alive) {
+                if (other === p) continue;
+                if ((other.x - p.x) ** 2 + (other.y - p.y) ** 2 < r2) nearby++;
+            }
+            return (this.heat.get(p.id) || 0) + nearby * 0.5;
+        };
+
+        let best = alive[0];
+        let bestScore = -Infinity;
+        for (const p of alive) {
+            const s = score(p);
+            if (s > bestScore) {
+                best = p;
+                bestScore = s;
+            }
+        }
+
+        this.focusHold += dt;
+        const current = alive.find(p => p.id === this.focusId);
+        if (!current || (this.focusHold >= this.minHold && best !== current && bestScore > score(current) + 1)) {
+            this.focusId = best.id;
+            this.focusHold = 0;
+        }
+
+        const focus = alive.find(p => p.id === this.focusId);
+        const positions = alive
+            .filter(p => p === focus || (p.x - focus.x) ** 2 + (p.y - focus.y) ** 2 < r2)
+            .map(p => ({ x: p.x, y: p.y }));
+        this.camera.follow(positions, dt);
+    }
+}
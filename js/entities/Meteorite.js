@@ -2,15 +2,18 @@
 // Meteorite.js — Hazard entity with fire trail
 // =============================================
 
+import { Random } from '../engine/Random.js';
+
 export class Meteorite {
-    constructor(x, y, vx, vy, radius = 15) {
+    constructor(x, y, vx, vy, radius = 15, rng = new Random()) {
+        this.id = 0; // Stable network id (snapshot deltas), from the match's IdCounter
         this.x = x;
         this.y = y;
         this.vx = vx;
         this.vy = vy;
         this.radius = radius;
-        this.rotation = Math.random() * Math.PI * 2;
-        this.rotationSpeed = (Math.random() - 0.5) * 4;
+        this.rotation = rng.next() * Math.PI * 2;
+        this.rotationSpeed = (rng.next() - 0.5) * 4;
         this.active = true;
         this.lifetime = 10;
         this.age = 0;
@@ -18,9 +21,9 @@ export class Meteorite {
 
         // Generate irregular shape (variation factors)
         this.shape = [];
-        const points = 8 + Math.floor(Math.random() * 4);
+        const points = 8 + rng.int(4);
         for (let i = 0; i < points; i++) {
-            this.shape.push(0.7 + Math.random() * 0.5);
+            this.shape.push(0.7 + rng.next() * 0.5);
         }
     }
 
@@ -36,6 +39,7 @@ export class Meteorite {
 
     serialize() {
         return {
+            id: this.id,
             x: Math.round(this.x),
             y: Math.round(this.y),
             vx: Math.round(this.vx),
@@ -46,8 +50,31 @@ export class Meteorite {
         };
     }
 
+    /**
+     * Per-tick fields (size and outline only travel in the spawn message)
+     */
+    serializeUpdate() {
+        return {
+            id: this.id,
+            x: Math.round(this.x),
+            y: Math.round(this.y),
+            vx: Math.round(this.vx),
+            vy: Math.round(this.vy),
+            rot: Math.round(this.rotation * 100) / 100
+        };
+    }
+
+    applyState(data) {
+        this.x = data.x;
+        this.y = data.y;
+        this.vx = data.vx;
+        this.vy = data.vy;
+        if (data.rot !== undefined) this.rotation = data.rot;
+    }
+
     static fromSerialized(data) {
         const m = new Meteorite(data.x, data.y, data.vx, data.vy, data.r);
+        m.id = data.id;
         m.rotation = data.rot;
         m.shape = data.sh;
         return m;
@@ -26,8 +26,8 @@ export const PICKUP_TYPES = {
 };
 
 export class Pickup {
-    constructor(id, x, y, typeKey) {
-        this.id = id;
+    constructor(x, y, typeKey) {
+        this.id = 0; // Stable network id (replication), from the match's IdCounter
         this.x = x;
         this.y = y;
         this.typeKey = typeKey;
@@ -57,6 +57,8 @@ export class Pickup {
     }
 
     static fromSerialized(data) {
-        return new Pickup(data.id, data.x, data.y, data.t);
+        const p = new Pickup(data.x, data.y, data.t);
+        p.id = data.id;
+        return p;
     }
 }
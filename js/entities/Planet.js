@@ -2,6 +2,8 @@
 // Planet.js — Celestial body with gravity and surface
 // =============================================
 
+import { Random } from '../engine/Random.js';
+
 export const PLANET_THEMES = {
     lava: {
         baseColor: '#8B2500',
@@ -48,27 +50,33 @@ export const PLANET_THEMES = {
 const THEME_KEYS = Object.keys(PLANET_THEMES);
 
 export class Planet {
-    constructor(x, y, radius, themeKey = null) {
+    /**
+     * `seed` picks the theme (when not given) and the surface details; it
+     * travels with the planet so every client draws the same one
+     */
+    constructor(x, y, radius, themeKey = null, seed = Random.randomSeed()) {
         this.x = x;
         this.y = y;
         this.radius = radius;
         this.mass = radius * 1.5; // Bigger planets = stronger gravity
+        this.seed = seed;
+        const rng = new Random(seed);
 
         // Theme
-        const key = themeKey || THEME_KEYS[Math.floor(Math.random() * THEME_KEYS.length)];
+        const key = themeKey || rng.pick(THEME_KEYS);
         this.themeKey = key;
         this.theme = PLANET_THEMES[key];
 
         // Generate random surface details
         this.details = [];
-        const numDetails = Math.floor(Math.random() * 5) + 3;
+        const numDetails = rng.int(5) + 3;
         for (let i = 0; i < numDetails; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const dist = Math.random() * 0.7;
+            const angle = rng.next() * Math.PI * 2;
+            const dist = rng.next() * 0.7;
             this.details.push({
                 x: Math.cos(angle) * dist,
                 y: Math.sin(angle) * dist,
-                r: Math.random() * 0.15 + 0.05
+                r: rng.next() * 0.15 + 0.05
             });
         }
 
@@ -110,58 +118,60 @@ export class Planet {
             x: this.x, y: this.y,
             radius: this.radius,
             themeKey: this.themeKey,
-            mass: this.mass
+            mass: this.mass,
+            seed: this.seed
         };
     }
 
     static deserialize(data) {
-        const p = new Planet(data.x, data.y, data.radius, data.themeKey);
+        const p = new Planet(data.x, data.y, data.radius, data.themeKey, data.seed);
         p.mass = data.mass;
         return p;
     }
 }
 
 /**
- * Generate a map of planets
+ * Generate a map of planets. The same `rng` state gives the same map.
  */
-export function generateMap(playerCount) {
+export function generateMap(playerCount, rng = new Random()) {
     const planets = [];
     const themes = [...THEME_KEYS];
 
     // Core planets (Binary system)
-    planets.push(new Planet(-150, 0, 140, 'lava'));
-    planets.push(new Planet(150, 0, 140, 'ice'));
+    planets.push(new Planet(-150, 0, 140, 'lava', rng.int(0x100000000)));
+    planets.push(new Planet(150, 0, 140, 'ice', rng.int(0x100000000)));
 
     // Inner ring
     const innerRadius = 500;
     const numInner = 4;
     for (let i = 0; i < numInner; i++) {
-        const angle = (Math.PI * 2 / numInner) * i + Math.random() * 0.5;
+        const angle = (Math.PI * 2 / numInner) * i + rng.next() * 0.5;
         const x = Math.cos(angle) * innerRadius;
         const y = Math.sin(angle) * innerRadius;
-        planets.push(new Planet(x, y, 70 + Math.random() * 20, themes[(i + 2) % themes.length]));
+        planets.push(new Planet(x, y, rng.range(70, 90), themes[(i + 2) % themes.length], rng.int(0x100000000)));
     }
 
     // Outer ring
     const outerRadius = 900;
     const numOuter = Math.max(playerCount + 2, 6);
     for (let i = 0; i < numOuter; i++) {
-        const angle = (Math.PI * 2 / numOuter) * i + Math.random() * 0.3;
+        const angle = (Math.PI * 2 / numOuter) * i + rng.next() * 0.3;
         const x = Math.cos(angle) * outerRadius;
         const y = Math.sin(angle) * outerRadius;
-        planets.push(new Planet(x, y, 50 + Math.random() * 30, themes[i % themes.length]));
+        planets.push(new Planet(x, y, rng.range(50, 80), themes[i % themes.length], rng.int(0x100000000)));
     }
 
     // Dotted small moons
     for (let i = 0; i < 7; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const dist = 300 + Math.random() * 800;
-        const radius = 25 + Math.random() * 15;
+        const angle = rng.next() * Math.PI * 2;
+        const dist = rng.range(300, 1100);
+        const radius = rng.range(25, 40);
         planets.push(new Planet(
             Math.cos(angle) * dist,
             Math.sin(angle) * dist,
             radius,
-            themes[Math.floor(Math.random() * themes.length)]
+            rng.pick(themes),
+            rng.int(0x100000000)
         ));
     }
 
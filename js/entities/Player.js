@@ -4,15 +4,29 @@
 
 import { Vec2 } from '../engine/Physics.js';
 
-const PLAYER_COLORS = ['#00d4ff', '#ff6b35', '#00ff88', '#ff3366'];
+// Colours players pick from in the lobby; the first four are the seat defaults
+export const PLAYER_COLORS = [
+    '#00d4ff', '#ff6b35', '#00ff88', '#ff3366',
+    '#b388ff', '#ffd600', '#ff80ab', '#64ffda'
+];
 const PLAYER_NAMES_DEFAULT = ['Player 1', 'Player 2', 'Player 3', 'Player 4'];
 
+// Helmet decorations (drawn by Renderer.drawPlayer; the icon is for the UI)
+export const COSMETICS = {
+    none: { label: 'No hat', icon: '' },
+    antenna: { label: 'Antenna', icon: '📡' },
+    crown: { label: 'Crown', icon: '👑' },
+    halo: { label: 'Halo', icon: '😇' },
+    horns: { label: 'Horns', icon: '😈' }
+};
+
 export class Player {
     constructor(id, playerIndex) {
         this.id = id;
         this.index = playerIndex;
         this.name = PLAYER_NAMES_DEFAULT[playerIndex] || `Player ${playerIndex + 1}`;
         this.color = PLAYER_COLORS[playerIndex] || '#ffffff';
+        this.cosmetic = 'none';
 
         // Position & physics
         this.x = 0;
@@ -50,6 +64,12 @@ export class Player {
         // Items
         this.currentWeapon = 'SHOTGUN';
 
+        // Connection lost; the host is holding the slot for a rejoin
+        this.reconnecting = false;
+
+        // Latest chat line or emote, shown above the astronaut (local only)
+        this.chatBubble = null;     // { text, until } with `until` in performance.now() ms
+
         // Jump — the key change: jumpGraceTimer prevents re-grounding
         this.jumpForce = 750;
         this.canJump = true;
@@ -124,6 +144,7 @@ export class Player {
             idx: this.index,
             n: this.name,
             c: this.color,
+            cs: this.cosmetic,
             x: Math.round(this.x * 10) / 10,
             y: Math.round(this.y * 10) / 10,
             vx: Math.round(this.vx * 10) / 10,
@@ -140,7 +161,9 @@ export class Player {
             rt: Math.round(this.respawnTimer * 100) / 100,
             iv: this.invulnerable > 0,
             aa: Math.round((this.aimAngle || 0) * 100) / 100,
-            cw: this.currentWeapon
+            cw: this.currentWeapon,
+            jg: Math.round(this.jumpGraceTimer * 100) / 100,
+            rc: this.reconnecting
         };
     }
 
@@ -165,12 +188,15 @@ export class Player {
         this.invulnerable = data.iv ? 1 : 0;
         if (data.aa !== undefined) this.aimAngle = data.aa;
         if (data.cw !== undefined) this.currentWeapon = data.cw;
+        if (data.jg !== undefined) this.jumpGraceTimer = data.jg;
+        if (data.rc !== undefined) this.reconnecting = data.rc;
     }
 
     static fromSerialized(data) {
         const p = new Player(data.id, data.idx);
         p.name = data.n;
         p.color = data.c;
+        if (COSMETICS[data.cs]) p.cosmetic = data.cs;
         p.applyState(data);
         return p;
     }
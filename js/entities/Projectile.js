@@ -4,6 +4,7 @@
 
 export class Projectile {
     constructor(x, y, vx, vy, ownerId, color = '#ffdd44') {
+        this.id = 0; // Stable network id (snapshot deltas), from the match's IdCounter
         this.x = x;
         this.y = y;
         this.vx = vx;
@@ -15,6 +16,7 @@ export class Projectile {
         this.lifetime = 1.5; // seconds
         this.age = 0;
         this.active = true;
+        this.rewindTicks = 0; // Host only: shooter's view delay for lag-compensated hits
     }
 
     update(dt) {
@@ -28,6 +30,7 @@ export class Projectile {
 
     serialize() {
         return {
+            id: this.id,
             x: Math.round(this.x),
             y: Math.round(this.y),
             vx: Math.round(this.vx),
@@ -38,8 +41,31 @@ export class Projectile {
         };
     }
 
+    /**
+     * Per-tick fields (the rest only travels in the spawn message)
+     */
+    serializeUpdate() {
+        return {
+            id: this.id,
+            x: Math.round(this.x),
+            y: Math.round(this.y),
+            vx: Math.round(this.vx),
+            vy: Math.round(this.vy),
+            a: Math.round(this.age * 100) / 100
+        };
+    }
+
+    applyState(data) {
+        this.x = data.x;
+        this.y = data.y;
+        this.vx = data.vx;
+        this.vy = data.vy;
+        if (data.a !== undefined) this.age = data.a;
+    }
+
     static fromSerialized(data) {
         const p = new Projectile(data.x, data.y, data.vx, data.vy, data.o, data.c);
+        p.id = data.id;
         p.age = data.a;
         return p;
     }
@@ -6,27 +6,32 @@ import { GameLoop } from './engine/GameLoop.js';
 import { Renderer } from './engine/Renderer.js';
 import { Camera } from './engine/Camera.js';
 import { InputManager } from './engine/InputManager.js';
-import { Vec2, Physics } from './engine/Physics.js';
+import { SpectatorCamera } from './engine/SpectatorCamera.js';
 
-import { Planet, generateMap } from './entities/Planet.js';
-import { Player } from './entities/Player.js';
-import { Projectile } from './entities/Projectile.js';
-import { Meteorite } from './entities/Meteorite.js';
-import { Pickup, PICKUP_TYPES } from './entities/Pickup.js';
+import { Player, PLAYER_COLORS } from './entities/Player.js';
 import { ParticlePool } from './entities/Particle.js';
 
-import { GravitySystem } from './systems/GravitySystem.js';
-import { CollisionSystem } from './systems/CollisionSystem.js';
-import { WeaponSystem } from './systems/WeaponSystem.js';
-import { HazardSystem } from './systems/HazardSystem.js';
+import { MatchSimulation } from './systems/MatchSimulation.js';
+import { ReplayRecorder, ReplayPlayer, ReplayBuffer, projectilePaths } from './systems/Replay.js';
+import { runCombatBenchmark } from './systems/Benchmark.js';
+import { LagCompensation } from './systems/LagCompensation.js';
 
-import { NetworkManager } from './network/NetworkManager.js';
+import { NetworkManager, transportOptionsFromQuery } from './network/NetworkManager.js';
 import { HostState } from './network/HostState.js';
 import { ClientState } from './network/ClientState.js';
+import { ChatRelay, EMOTES } from './network/Chat.js';
+import { loadSession, saveSession, clearSession } from './network/SessionStore.js';
+import { createSessionToken, hashSessionToken } from './network/SessionToken.js';
 
 import { Menu } from './ui/Menu.js';
 import { HUD } from './ui/HUD.js';
 import { Ranking } from './ui/Ranking.js';
+import { NetOverlay } from './ui/NetOverlay.js';
+import { NetSimPanel } from './ui/NetSimPanel.js';
+import { ChatPanel } from './ui/ChatPanel.js';
+import { ConnectionModal, describeConnectionProblem } from './ui/ConnectionModal.js';
+import { ReplayViewer, downloadReplay, readReplayFile } from './ui/ReplayViewer.js';
+import { loadProfile, saveProfile, sanitizeProfile } from './ui/Profile.js';
 
 // ---- Game States ----
 const State = {
@@ -34,7 +39,8 @@ const State = {
     LOBBY: 'lobby',
     COUNTDOWN: 'countdown',
     PLAYING: 'playing',
-    RANKING: 'ranking'
+    RANKING: 'ranking',
+    REPLAY: 'replay'
 };
 
 class Game {
@@ -44,24 +50,20 @@ class Game {
         this.renderer = new Renderer(this.canvas);
         this.camera = new Camera(this.renderer.width, this.renderer.height);
         this.input = new InputManager(this.canvas);
+        this.spectatorCam = new SpectatorCamera(this.camera, this.canvas);
 
-        // Systems
-        this.gravity = new GravitySystem();
-        this.collision = new CollisionSystem();
-        this.weapons = new WeaponSystem();
-        this.hazards = new HazardSystem();
-
-        // Entities
-        this.planets = [];
-        this.players = [];
-        this.projectiles = [];
-        this.meteorites = [];
-        this.pickups = [];
+        // The match: the host steps it, clients fill it from snapshots
         this.particles = new ParticlePool(600);
-        this.pickupSpawnTimer = 0;
+        this.sim = new MatchSimulation({
+            particles: this.particles,
+            matchTime: 180,         // 3 minutes
+            killTarget: 10
+        });
 
         // Network
-        this.net = new NetworkManager();
+        this.net = new NetworkManager(transportOptionsFromQuery(window.location.search));
+        this.net.deviceId = this._deviceId();
+        this.profile = loadProfile();   // Our nickname, colour and cosmetic
         this.hostState = null;
         this.clientState = null;
 
@@ -69,19 +71,59 @@ class Game {
         this.menu = new Menu();
         this.hud = new HUD();
         this.ranking = new Ranking();
+        this.netOverlay = new NetOverlay();
+        this.netSimPanel = new NetSimPanel(this.net.simulator);
+        this.chat = new ChatPanel();
+        this.chatRelay = new ChatRelay();   // Host: vets and rate-limits what peers say
+        this.chatBubbleTime = 4000;         // ms a line stays above the astronaut
+        this.connectionModal = new ConnectionModal();
+        this.replayViewer = new ReplayViewer();
+
+        // Replays: the host records every match, clients only with ?record=1
+        this.recorder = new ReplayRecorder();
+        this.recordAsClient = new URLSearchParams(window.location.search).get('record') === '1';
+        this.replay = null;             // ReplayPlayer while watching one
+        this.replayReturn = State.MENU; // Where closing the replay goes back to
+
+        // Killcam: the last moments before we died, slowed down while we wait to respawn
+        this.killcamBuffer = new ReplayBuffer({ seconds: 3 });
+        this.killcamLength = 1.5;       // Seconds of match shown
+        this.killcamDelay = 0.3;        // Seconds of the death itself seen live first
+        this.killcamPending = null;     // { event, wait } until it starts
+        this.killcam = null;            // { replay, world, killerId, victimId, paths } while it runs
 
         // Game state
         this.state = State.MENU;
-        this.matchTime = 180; // 3 minutes
-        this.matchTimer = this.matchTime;
-        this.killTarget = 10;
         this.countdownTimer = 3;
-        this.gameTime = 0;
+        this.readyCountdown = 5;        // Seconds from everyone ready to the match starting
+        this.lobbyCountdown = null;     // Seconds left on that, while it runs
         this.localPlayerIndex = 0;
         this.peerPlayerMap = new Map(); // peerId -> playerIndex
+        this.reconnecting = false;      // Lost the host link; rejoining or electing a new host
+        this.rejoinTimeout = 3000;      // ms to get back to the same host before electing a new one
+        this.takeOverTimeout = 10000;   // ms a newly elected host keeps trying to re-open the room
+
+        // Connection problems: where to reconnect to, and how long to wait between tries
+        this.connectionSession = null;  // { roomCode, password, spectate, playerId, token }
+        this.connectionProblem = null;  // What the modal is showing (describeConnectionProblem)
+        this.reconnectDelays = [1, 2, 4, 8, 16];    // Seconds before each automatic attempt
+        this._reconnectTimer = null;
+        this._reconnectRun = 0;         // Bumped to disown a connect already under way
+
+        // Host: session tokens let dropped clients reclaim their slot
+        this.sessions = new Map();      // token -> playerId
+        this.heldSlots = new Map();     // playerId -> { timeout, migrated } while waiting for a rejoin
+        this.reconnectGrace = 20;       // Seconds a dropped player's slot is kept
+        // Host: kick players the input guard keeps flagging (?autokick=0 to only warn)
+        this.autoKick = new URLSearchParams(window.location.search).get('autokick') !== '0';
+        this.kickStrikes = 3;
+        this.linkInfo = new Map();      // playerId -> { rtt, jitter, q }, shared with clients
+        this.linkShareTimer = 0;
 
         // Lobby info
         this.lobbyPlayers = [];
+        this.spectators = [];           // [{ name, peerId }] — get snapshots, send no input
+        this.isSpectator = false;
 
         // Game loop
         this.loop = new GameLoop(
@@ -97,13 +139,76 @@ class Game {
         this._frameInput = null;
 
         this.loop.start();
+        if (!this._openInviteLink()) this._resumeSavedSession();
+
+        // ?bench=1: time the simulation in a worst-case fight (see Benchmark.js)
+        if (new URLSearchParams(window.location.search).get('bench') === '1') {
+            setTimeout(() => this._runBenchmark(), 500);
+        }
+    }
+
+    _runBenchmark() {
+        const result = runCombatBenchmark();
+        console.table(result);
+        const verdict = result.p99 < result.budget ? 'within' : 'OVER';
+        this.menu.setMenuStatus(
+            `Benchmark: ${result.avg} ms avg, ${result.p99} ms p99 per tick — ${verdict} the ${result.budget} ms budget`,
+            verdict === 'OVER'
+        );
+    }
+
+    /**
+     * Opened from an invite (?join=CODE): skip the menu and join that room.
+     * Returns whether there was one.
+     */
+    _openInviteLink() {
+        const params = new URLSearchParams(window.location.search);
+        const code = (params.get('join') || '').trim().toUpperCase();
+        if (!/^[A-Z0-9]{4}$/.test(code)) return false;
+        // Leaving or reloading shouldn't join again
+        params.delete('join');
+        const query = params.toString();
+        history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+        this.menu.openInvite(code);
+        return true;
+    }
+
+    /**
+     * Reloaded while in a room: go straight back to it (and to our astronaut,
+     * if the host is still holding it)
+     */
+    _resumeSavedSession() {
+        const session = loadSession();
+        if (!session) return;
+        this.connectionSession = session;
+        this.connectionProblem = describeConnectionProblem({ type: 'lost' });
+        this.connectionModal.show('REJOINING', `Rejoining room ${session.roomCode}...`, { retry: false });
+        this._reconnect();
     }
 
     // ---- UI Bindings ----
     _bindUI() {
         this.menu.onHost = () => this._hostGame();
-        this.menu.onJoin = (code) => this._joinGame(code);
+        this.menu.onJoin = (code, options) => this._joinGame(code, options);
+        this.menu.onPromote = (peerId) => this._promoteSpectator(peerId);
+        this.menu.onKick = (peerId) => this._kickPlayer(peerId, 'The host removed you from the game.');
+        this.menu.onBan = (peerId) => this._kickPlayer(peerId, 'You are banned from this room.', true);
+        this.menu.onMute = (peerId) => this._toggleMute(peerId);
+        this.chat.onSend = (message) => this._sendChat(message);
+        this.menu.onLockRoom = (locked) => {
+            this.net.locked = locked;
+            this.menu.setLocked(locked);
+            this._broadcastLobby();
+        };
+        this.menu.onSetPassword = (password) => {
+            this.net.password = password;
+        };
+        // The host can always start without waiting for everyone to ready up
         this.menu.onStart = () => this._startGame();
+        this.menu.onReady = (ready) => this._setReady(ready);
+        this.menu.onMoveSlot = (from, to) => this._moveSlot(from, to);
+        this.menu.onProfileChange = (profile) => this._setProfile(profile);
+        this.menu.setProfile(this.profile);
         this.menu.onLeave = () => this._leaveGame();
 
         this.ranking.onRematch = () => {
@@ -112,15 +217,52 @@ class Game {
             }
         };
         this.ranking.onMenu = () => this._leaveGame();
+        this.ranking.onLobby = () => this._returnToLobby();
+        this.ranking.onWatchReplay = () => this._watchReplay(this.recorder.recording);
+        this.ranking.onSaveReplay = () => downloadReplay(this.recorder.recording);
+
+        this.menu.onOpenReplay = async (file) => {
+            try {
+                this._watchReplay(await readReplayFile(file));
+            } catch (err) {
+                this.menu.setMenuStatus(err.message, true);
+            }
+        };
+        this.replayViewer.onTogglePlay = () => this.replay.togglePlay();
+        this.replayViewer.onSpeed = (speed) => { this.replay.speed = speed; };
+        this.replayViewer.onSeek = (time) => this.replay.seek(time);
+        this.replayViewer.onToggleCamera = () => this.spectatorCam.toggleMode();
+        this.replayViewer.onClose = () => this._closeReplay();
+
+        this.spectatorCam.onModeChange = (mode) => {
+            this.hud.setSpectatorMode(mode);
+            this.replayViewer.setCameraMode(mode);
+        };
+        this.hud.onToggleSpectatorMode = () => this.spectatorCam.toggleMode();
+        this.hud.onKick = (playerId) => {
+            const lp = this.lobbyPlayers.find(p => p.playerId === playerId);
+            if (lp && lp.peerId) this._kickPlayer(lp.peerId, 'The host removed you from the game.');
+        };
+
+        this.connectionModal.onRetry = () => {
+            if (this.connectionProblem.reload) window.location.reload();
+            else this._reconnect();
+        };
+        this.connectionModal.onMenu = () => {
+            this._cancelReconnect();
+            this.connectionModal.hide();
+            this._leaveGame();
+        };
 
         this.net.onError = (err) => {
             console.error('Network error:', err);
-            let msg = 'Connection error.';
-            if (err.type === 'peer-unavailable') msg = 'Room not found. Check the code.';
-            if (err.type === 'network') msg = 'Network unreachable. Check your internet.';
-            if (err.type === 'browser-incompatible') msg = 'Browser not supported.';
-            this.menu.setStatus(msg, true);
+            this.menu.setStatus(describeConnectionProblem(err).message, true);
         };
+
+        // Keep the saved session fresh, so a reload after a long match can still resume it
+        window.addEventListener('pagehide', () => {
+            if (this.clientState && loadSession()) saveSession({});
+        });
     }
 
     _bindResize() {
@@ -139,104 +281,844 @@ class Game {
         this.menu.setStatus('Creating game...');
         try {
             const code = await this.net.host();
-            this.hostState = new HostState(this.net);
-            this.hostState.init();
+            this._createHostState();
 
             this.localPlayerIndex = 0;
-            this.lobbyPlayers = [{ name: 'Host', index: 0 }];
+            const host = { index: 0, playerId: 'host', isHost: true };
+            this._applyProfile(host, this.profile);
+            this.lobbyPlayers = [host];
 
             this.menu.showHostLobby(code);
             this._updateLobbyUI();
             this.state = State.LOBBY;
+            this._bindHostHandlers();
+        } catch (err) {
+            console.error('Failed to host:', err);
+            this.menu.setStatus('Failed to create game. Try again.');
+        }
+    }
 
-            // Handle player joins
-            this.net.onPlayerJoin = (peerId) => {
-                const idx = this.lobbyPlayers.length;
-                if (idx >= 4) return;
-                this.peerPlayerMap.set(peerId, idx);
-                this.lobbyPlayers.push({ name: `Player ${idx + 1}`, index: idx, peerId });
-                this._updateLobbyUI();
+    _createHostState() {
+        const params = new URLSearchParams(window.location.search);
+        this.hostState = new HostState(this.net, { snapshotMode: params.get('snap') });
+        this.hostState.init();
+        this.hostState.onFlag = (peerId, reason, strikes) => this._onPlayerFlagged(peerId, reason, strikes);
+        this.hostState.onReady = (peerId, ready) => {
+            const lp = this.lobbyPlayers.find(p => p.peerId === peerId);
+            if (lp) this._markReady(lp, ready);
+        };
+        this.hostState.onProfile = (peerId, profile) => this._onProfile(peerId, profile);
+        this.hostState.onChat = (peerId, data) => this._relayChat(peerId, data);
+
+        // Rewind clients' shots to what they saw (?rewind=ms caps how far back)
+        const maxRewindMs = parseInt(params.get('rewind'), 10);
+        this.sim.collision.lagCompensation = new LagCompensation(
+            Number.isFinite(maxRewindMs) ? { maxRewindMs } : {}
+        );
+    }
+
+    /**
+     * Lobby bookkeeping for peers joining/leaving this host
+     */
+    _bindHostHandlers() {
+        this.net.onPlayerJoin = (peerId, hello) => {
+            if (hello.resume) {
+                this._resumePlayer(peerId, hello.resume);
+                return;
+            }
 
-                // Send lobby state to all clients
-                this.hostState.broadcastLobby({
-                    players: this.lobbyPlayers,
-                    roomCode: this.net.roomCode
+            // Seat players while in the lobby; everyone else (and anyone
+            // arriving mid-match) watches until the host promotes them
+            const idx = this._freeSeat();
+            const profile = sanitizeProfile(hello.profile);
+            if (hello.role !== 'spectator' && !this._matchRunning() && idx !== -1) {
+                this.peerPlayerMap.set(peerId, idx);
+                const lp = { index: idx, peerId, playerId: peerId };
+                this._applyProfile(lp, profile);
+                this.lobbyPlayers.push(lp);
+                this._issueSession(peerId, peerId);
+            } else {
+                this.spectators.push({
+                    name: profile.name || `Spectator ${this.spectators.length + 1}`,
+                    peerId,
+                    profile
                 });
-            };
+            }
+            this._updateLobbyUI();
+
+            // Send lobby state to all clients
+            this._broadcastLobby();
+
+            // Drop a new spectator straight into the running match
+            if (!this.peerPlayerMap.has(peerId) && this._matchRunning()) this._sendMatchInProgress(peerId);
+        };
 
-            this.net.onPlayerLeave = (peerId) => {
-                const idx = this.peerPlayerMap.get(peerId);
-                this.peerPlayerMap.delete(peerId);
+        this.net.onPlayerLeave = (peerId) => {
+            this.peerPlayerMap.delete(peerId);
+            this.hostState.removePeer(peerId);
+            this.spectators = this.spectators.filter(s => s.peerId !== peerId);
+            const lp = this.lobbyPlayers.find(p => p.peerId === peerId);
+            if (lp && this._matchRunning()) {
+                // Hold the slot: a phone that locked or lost Wi-Fi can come back
+                this._holdSlot(lp);
+            } else {
                 this.lobbyPlayers = this.lobbyPlayers.filter(p => p.peerId !== peerId);
-                this._updateLobbyUI();
-                this.hostState.broadcastLobby({
-                    players: this.lobbyPlayers,
-                    roomCode: this.net.roomCode
-                });
-            };
-        } catch (err) {
-            console.error('Failed to host:', err);
-            this.menu.setStatus('Failed to create game. Try again.');
+            }
+            this._updateLobbyUI();
+            this._broadcastLobby();
+        };
+    }
+
+    /**
+     * A client presenting its session token takes its astronaut back
+     */
+    _resumePlayer(peerId, resume) {
+        const { playerId, token } = resume;
+        const lp = this.lobbyPlayers.find(p => p.playerId === playerId && p.index !== this.localPlayerIndex);
+        // Migrated slots' tokens were issued by the previous host; it shared
+        // their hashes in the lobby updates, so check against those
+        const held = lp && this.heldSlots.get(playerId);
+        const tokenValid = !!token && (this.sessions.get(token) === playerId ||
+            (!!held && held.migrated && hashSessionToken(token) === lp.resumeHash));
+        if (!lp || !tokenValid) {
+            this.net.reject(peerId, 'resume', 'Your place in this match is no longer available.');
+            return;
+        }
+        if (lp.peerId && lp.peerId !== peerId) {
+            // The client noticed the drop before we did: retire its old link
+            const stale = lp.peerId;
+            this.peerPlayerMap.delete(stale);
+            this.hostState.removePeer(stale);
+            this.net.kick(stale);
+        }
+
+        this._releaseSlot(lp);
+        lp.peerId = peerId;
+        this.peerPlayerMap.set(peerId, lp.index);
+        if (token) this.sessions.delete(token);
+        this._issueSession(peerId, playerId);
+        this._updateLobbyUI();
+        this._broadcastLobby();
+
+        // Whatever spawned or despawned while it was away (or, after a
+        // reload, the whole match)
+        if (resume.full && this._matchRunning()) this._sendMatchInProgress(peerId);
+        else if (this._matchRunning()) this.hostState.sendReplicaSet(peerId, this.sim);
+    }
+
+    _sendMatchInProgress(peerId) {
+        this.hostState.sendStart(peerId, { ...this.sim.startData(), inProgress: true });
+        this.hostState.sendReplicaSet(peerId, this.sim);
+    }
+
+    /**
+     * Host: the input guard spotted something off about a peer's inputs
+     */
+    _onPlayerFlagged(peerId, reason, strikes) {
+        const lp = this.lobbyPlayers.find(p => p.peerId === peerId);
+        const name = lp ? lp.name : 'A spectator';
+        console.warn('[NET] Flagged', peerId, `(${reason}, strike ${strikes})`);
+
+        if (this.autoKick && strikes >= this.kickStrikes) {
+            this._kickPlayer(peerId, 'You were removed for suspicious input.');
+            this.hud.showWarning(`${name.toUpperCase()} WAS KICKED (${reason.toUpperCase()})`);
+            return;
         }
+        if (lp) this.hud.flagPlayer(lp.playerId, reason);
+        this.hud.showWarning(`${name.toUpperCase()}: ${reason.toUpperCase()}`);
+    }
+
+    /**
+     * Host: remove a peer for good. Unlike a drop, its seat isn't held and
+     * its session tokens stop working, so it can't simply resume. A banned
+     * peer can't come back at all.
+     */
+    _kickPlayer(peerId, message, ban = false) {
+        const lp = this.lobbyPlayers.find(p => p.peerId === peerId);
+        if (lp) {
+            this._releaseSlot(lp);
+            for (const [token, playerId] of this.sessions) {
+                if (playerId === lp.playerId) this.sessions.delete(token);
+            }
+            this.lobbyPlayers = this.lobbyPlayers.filter(p => p !== lp);
+            this.sim.players = this.sim.players.filter(p => p.id !== lp.playerId);
+        }
+        this.spectators = this.spectators.filter(s => s.peerId !== peerId);
+        this.peerPlayerMap.delete(peerId);
+        this.hostState.removePeer(peerId);
+        if (ban) this.net.ban(peerId);
+        this.net.reject(peerId, ban ? 'banned' : 'kicked', message);
+        this._updateLobbyUI();
+        this._broadcastLobby();
+    }
+
+    /**
+     * Lowest player index nobody holds, or -1 when all four seats are taken
+     */
+    _freeSeat() {
+        for (let i = 0; i < 4; i++) {
+            if (!this.lobbyPlayers.some(p => p.index === i)) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Host: move a spectator into a free seat (between matches only)
+     */
+    _promoteSpectator(peerId) {
+        if (!this.net.isHost || this._matchRunning()) return;
+        const spectator = this.spectators.find(s => s.peerId === peerId);
+        const idx = this._freeSeat();
+        if (!spectator || idx === -1) return;
+
+        this.spectators = this.spectators.filter(s => s !== spectator);
+        this.peerPlayerMap.set(peerId, idx);
+        const lp = { index: idx, peerId, playerId: peerId };
+        this._applyProfile(lp, spectator.profile);
+        this.lobbyPlayers.push(lp);
+        this._issueSession(peerId, peerId);
+        this._updateLobbyUI();
+        this._broadcastLobby();
+    }
+
+    /**
+     * Host: back from the results to the lobby, e.g. to seat spectators.
+     * Clients follow with the lobby update, to ready up for the next match.
+     */
+    _returnToLobby() {
+        if (!this.net.isHost) return;
+        this.state = State.LOBBY;
+        this.menu.showHostLobby(this.net.roomCode, { locked: this.net.locked, password: this.net.password });
+        this._updateLobbyUI();
+        this._broadcastLobby();
+    }
+
+    // ---- Profiles ----
+
+    /**
+     * Our profile changed in the lobby: remember it and tell the host
+     */
+    _setProfile(profile) {
+        this.profile = saveProfile(profile);
+        if (!this.net.connected) {
+            this.menu.setProfile(this.profile);
+        } else if (this.net.isHost) {
+            const lp = this.lobbyPlayers.find(p => p.isHost);
+            if (lp) this._onProfileChanged(lp, this.profile);
+        } else if (this.clientState) {
+            this.clientState.sendProfile(this.profile);
+        }
+    }
+
+    /**
+     * Host: a peer changed its profile
+     */
+    _onProfile(peerId, profile) {
+        const lp = this.lobbyPlayers.find(p => p.peerId === peerId);
+        const spectator = this.spectators.find(s => s.peerId === peerId);
+        if (lp) {
+            this._onProfileChanged(lp, profile);
+        } else if (spectator) {
+            spectator.profile = sanitizeProfile(profile);
+            spectator.name = spectator.profile.name || spectator.name;
+            this._updateLobbyUI();
+            this._broadcastLobby();
+        }
+    }
+
+    _onProfileChanged(lp, profile) {
+        // Astronauts are already built from the lobby once a match runs
+        if (this.state !== State.LOBBY) return;
+        this._applyProfile(lp, profile);
+        this._updateLobbyUI();
+        this._broadcastLobby();
+    }
+
+    /**
+     * Host: give a lobby player the name, colour and cosmetic they asked for.
+     * Colours are unique: a taken one keeps their current colour (or the
+     * first free one) instead.
+     */
+    _applyProfile(lp, profile) {
+        const clean = sanitizeProfile(profile);
+        lp.name = clean.name || `Player ${lp.index + 1}`;
+        lp.cosmetic = clean.cosmetic;
+        const taken = this._takenColors(lp);
+        if (clean.color && !taken.includes(clean.color)) {
+            lp.color = clean.color;
+        } else if (!lp.color || taken.includes(lp.color)) {
+            lp.color = PLAYER_COLORS.find(c => !taken.includes(c));
+        }
+    }
+
+    _takenColors(except) {
+        return this.lobbyPlayers.filter(p => p !== except).map(p => p.color);
+    }
+
+    // ---- Chat ----
+
+    /**
+     * Say something: the host relays its own lines, clients ask the host
+     */
+    _sendChat(message) {
+        if (this.net.isHost) this._relayChat(null, message);
+        else if (this.clientState) this.clientState.sendChat(message);
+    }
+
+    /**
+     * Host: a line from `peerId` (null for ourselves). Who said it is taken
+     * from the lobby, so nobody can speak under another name.
+     */
+    _relayChat(peerId, data) {
+        const lp = this.lobbyPlayers.find(p => peerId ? p.peerId === peerId : p.isHost);
+        const spectator = lp ? null : this.spectators.find(s => s.peerId === peerId);
+        if (!lp && !spectator) return;
+
+        if ((lp || spectator).muted) {
+            this.hostState.sendChatNotice(peerId, 'The host has muted you.');
+            return;
+        }
+        const sender = lp
+            ? { id: lp.playerId, name: lp.name, color: lp.color }
+            : { id: spectator.peerId, name: spectator.name, color: '#8890b0' };
+        const message = this.chatRelay.relay(sender, data);
+        if (!message) return;
+        this.hostState.broadcastChat(message);
+        this._showChat(message);
+    }
+
+    /**
+     * Add a relayed line to the chat logs and pop it up over the sender
+     */
+    _showChat(message) {
+        this.chat.add(message);
+        const player = message.from && this.sim.players.find(p => p.id === message.from);
+        if (!player) return;
+        const emote = message.emote && EMOTES[message.emote];
+        player.chatBubble = {
+            text: emote ? emote.icon : message.text,
+            until: performance.now() + this.chatBubbleTime
+        };
+    }
+
+    /**
+     * Host: silence a player or spectator, or let them talk again
+     */
+    _toggleMute(peerId) {
+        const target = this.lobbyPlayers.find(p => p.peerId === peerId) ||
+            this.spectators.find(s => s.peerId === peerId);
+        if (!target) return;
+        target.muted = !target.muted;
+        this._updateLobbyUI();
+        this._broadcastLobby();
+    }
+
+    // ---- Ready check ----
+
+    /**
+     * Toggle our own ready flag: directly on the host, by asking otherwise
+     */
+    _setReady(ready) {
+        if (!this.net.isHost) {
+            if (this.clientState) this.clientState.sendReady(ready);
+            return;
+        }
+        const lp = this.lobbyPlayers.find(p => p.index === this.localPlayerIndex);
+        if (lp) this._markReady(lp, ready);
+    }
+
+    _markReady(lp, ready) {
+        if (this.state !== State.LOBBY) return;
+        lp.ready = !!ready;
+        this._updateLobbyUI();
+        this._broadcastLobby();
+    }
+
+    /**
+     * Host: start the countdown once every seated player is ready, and call
+     * it off as soon as one isn't (or leaves, or a new one sits down)
+     */
+    _checkReady() {
+        const allReady = this.state === State.LOBBY && this.lobbyPlayers.length >= 2 &&
+            this.lobbyPlayers.every(p => p.ready && !this.heldSlots.has(p.playerId));
+        if (!allReady) {
+            this.lobbyCountdown = null;
+        } else if (this.lobbyCountdown === null) {
+            this.lobbyCountdown = this.readyCountdown;
+        }
+    }
+
+    _updateReadyCountdown(dt) {
+        if (!this.net.isHost || this.lobbyCountdown === null) return;
+        const shown = Math.ceil(this.lobbyCountdown);
+        this.lobbyCountdown -= dt;
+        if (this.lobbyCountdown <= 0) {
+            this._startGame();
+        } else if (Math.ceil(this.lobbyCountdown) !== shown) {
+            this._updateLobbyUI();
+            this._broadcastLobby();
+        }
+    }
+
+    /**
+     * Host: move the player in seat `from` to seat `to`, swapping with
+     * whoever sits there. The seat decides the spawn planet.
+     */
+    _moveSlot(from, to) {
+        if (!this.net.isHost || this._matchRunning()) return;
+        const moving = this.lobbyPlayers.find(p => p.index === from);
+        if (!moving || to < 0 || to >= 4) return;
+        const other = this.lobbyPlayers.find(p => p.index === to);
+
+        for (const [lp, index] of [[moving, to], [other, from]]) {
+            if (!lp) continue;
+            lp.index = index;
+            if (lp.peerId) this.peerPlayerMap.set(lp.peerId, index);
+            if (lp.isHost) this.localPlayerIndex = index;
+        }
+        this._updateLobbyUI();
+        this._broadcastLobby();
+    }
+
+    /**
+     * A random id kept per browser, so a ban outlives a reload
+     */
+    _deviceId() {
+        try {
+            let id = localStorage.getItem('ipvp-device-id');
+            if (!id) {
+                id = Array.from(crypto.getRandomValues(new Uint8Array(8)),
+                    b => b.toString(16).padStart(2, '0')).join('');
+                localStorage.setItem('ipvp-device-id', id);
+            }
+            return id;
+        } catch (e) {
+            return ''; // Storage blocked (private mode): bans fall back to the peer id
+        }
+    }
+
+    _matchRunning() {
+        return this.state === State.PLAYING || this.state === State.COUNTDOWN;
+    }
+
+    /**
+     * Give a client a fresh token for reclaiming `playerId`. Its hash goes
+     * out with the next lobby update, so a host elected after a migration
+     * can check the token too.
+     */
+    _issueSession(peerId, playerId) {
+        const token = createSessionToken();
+        this.sessions.set(token, playerId);
+        const lp = this.lobbyPlayers.find(p => p.playerId === playerId);
+        if (lp) lp.resumeHash = hashSessionToken(token);
+        this.hostState.sendSession(peerId, { token, playerId });
+    }
+
+    /**
+     * Keep a disconnected player's astronaut, index and stats for the grace
+     * window; the slot is given up if nobody reclaims it in time
+     */
+    _holdSlot(lp, migrated = false) {
+        this._releaseSlot(lp);
+        lp.peerId = null;
+        const player = this.sim.players.find(p => p.id === lp.playerId);
+        if (player) player.reconnecting = true;
+
+        const timeout = setTimeout(() => {
+            this._releaseSlot(lp);
+            this.lobbyPlayers = this.lobbyPlayers.filter(p => p !== lp);
+            for (const [token, playerId] of this.sessions) {
+                if (playerId === lp.playerId) this.sessions.delete(token);
+            }
+            this._updateLobbyUI();
+            if (this.hostState) this._broadcastLobby();
+        }, this.reconnectGrace * 1000);
+        this.heldSlots.set(lp.playerId, { timeout, migrated });
+    }
+
+    _releaseSlot(lp) {
+        const held = this.heldSlots.get(lp.playerId);
+        if (held) clearTimeout(held.timeout);
+        this.heldSlots.delete(lp.playerId);
+        const player = this.sim.players.find(p => p.id === lp.playerId);
+        if (player) player.reconnecting = false;
+    }
+
+    _broadcastLobby() {
+        // Every roster change passes through here: start or call off the ready countdown
+        this._checkReady();
+        this.hostState.broadcastLobby({
+            players: this.lobbyPlayers,
+            spectators: this.spectators,
+            roomCode: this.net.roomCode,
+            locked: this.net.locked,
+            inLobby: this.state === State.LOBBY,
+            countdown: this.lobbyCountdown === null ? null : Math.ceil(this.lobbyCountdown)
+        });
     }
 
     // ---- Join Game ----
-    async _joinGame(code) {
+    async _joinGame(code, options = {}) {
         this.menu.setStatus('Connecting...');
         try {
-            await this.net.join(code);
-            this.clientState = new ClientState(this.net);
-            this.clientState.init();
-
-            // Handle lobby updates from host
-            this.clientState.onLobbyUpdate = (data) => {
-                this.lobbyPlayers = data.players;
-                // Find our index
-                const myPeer = this.net.localId;
-                for (const p of data.players) {
-                    if (p.peerId === myPeer) {
-                        this.localPlayerIndex = p.index;
-                    }
+            await this._connect(code, options);
+        } catch (err) {
+            console.error('Failed to join:', err);
+            if (err.reason === 'password') {
+                this.menu.setStatus(err.message, true);
+                this.menu.askPassword();
+                return;
+            }
+            this._showConnectionProblem(err, {
+                roomCode: code.toUpperCase(),
+                password: options.password || '',
+                spectate: !!options.spectate
+            });
+        }
+    }
+
+    /**
+     * Join a room and set up the client side. `options.resume`
+     * ({ playerId, token, full }) asks for our old astronaut back; if the host
+     * no longer has it we come in as a new arrival instead.
+     */
+    async _connect(code, options = {}) {
+        const hello = { role: options.spectate ? 'spectator' : 'player', profile: this.profile };
+        if (options.password) hello.password = options.password;
+        if (options.resume) hello.resume = options.resume;
+        try {
+            await this.net.join(code, hello);
+        } catch (err) {
+            if (err.reason !== 'resume') throw err;
+            delete hello.resume;
+            await this.net.join(code, hello);
+        }
+        saveSession({
+            roomCode: this.net.roomCode,
+            password: options.password || '',
+            spectate: !!options.spectate,
+            playerId: '',
+            token: ''
+        });
+
+        // Until the host seats us
+        this.isSpectator = !!options.spectate;
+        this.localPlayerIndex = -1;
+        this.clientState = new ClientState(this.net);
+        this.clientState.init();
+
+        // Handle lobby updates from host
+        this.clientState.onLobbyUpdate = (data) => {
+            // The host went back to the lobby from the results
+            if (data.inLobby && this.replay) this._closeReplay();
+            if (data.inLobby && this.state === State.RANKING) {
+                this.state = State.LOBBY;
+                this.menu.showClientLobby(this.net.roomCode);
+            }
+            this.lobbyPlayers = data.players;
+            this.spectators = data.spectators || [];
+            this.lobbyCountdown = data.countdown ?? null;
+            this.menu.setLocked(!!data.locked);
+            // Find our index (or that we're only watching)
+            const myPeer = this.net.localId;
+            const seat = data.players.find(p => p.peerId === myPeer);
+            if (seat) {
+                this.localPlayerIndex = seat.index;
+                this.isSpectator = false;
+            } else if (this.spectators.some(s => s.peerId === myPeer)) {
+                this.localPlayerIndex = -1;
+                this.isSpectator = true;
+            }
+            this._updateLobbyUI();
+        };
+
+        this.clientState.onChatReceived = (message) => this._showChat(message);
+
+        // Handle game start
+        this.clientState.onGameStart = (data) => {
+            this._initMatch(data);
+        };
+
+        // Handle events
+        this.clientState.onEventReceived = (event) => {
+            this.recorder.addEvent(event);
+            this._handleGameEvent(event);
+        };
+
+        // Handle match end
+        this.clientState.onGameEnd = (rankings) => {
+            this._showRankings(rankings);
+        };
+
+        this.net.onPlayerLeave = (peerId) => {
+            if (peerId === this.net.hostId) this._onHostLost();
+        };
+
+        this.clientState.onSession = (session) => saveSession(session);
+
+        this.menu.showClientLobby(this.net.roomCode);
+        this.state = State.LOBBY;
+    }
+
+    // ---- Connection problems ----
+
+    /**
+     * Show what went wrong over whatever screen we're on. With a `session`
+     * to go back to, the player can retry, and dropped links are retried
+     * automatically, waiting longer after each failed attempt.
+     */
+    _showConnectionProblem(err, session = null, attempt = 0) {
+        const problem = describeConnectionProblem(err);
+        this._cancelReconnect();
+        this.connectionSession = session;
+        this.connectionProblem = problem;
+        this.connectionModal.show(problem.title, problem.message, {
+            retry: problem.retry && (!!session || !!problem.reload),
+            retryLabel: problem.reload ? 'RELOAD' : 'RETRY'
+        });
+        if (problem.autoRetry && session) {
+            // A reload while we wait should still find its way back
+            saveSession(session);
+            this._scheduleReconnect(attempt);
+        }
+    }
+
+    _scheduleReconnect(attempt) {
+        const attempts = this.reconnectDelays.length;
+        if (attempt >= attempts) {
+            this.connectionModal.setDetail(`Gave up after ${attempts} attempts.`);
+            return;
+        }
+        let seconds = this.reconnectDelays[attempt];
+        const countdown = () => {
+            if (seconds === 0) {
+                this._reconnectTimer = null;
+                this._reconnect(attempt);
+                return;
+            }
+            this.connectionModal.setDetail(`Reconnecting in ${seconds}s (attempt ${attempt + 1} of ${attempts})`);
+            seconds--;
+            this._reconnectTimer = setTimeout(countdown, 1000);
+        };
+        countdown();
+    }
+
+    _cancelReconnect() {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        this._reconnectRun++;
+    }
+
+    /**
+     * Try the problem's session again now; `attempt` counts automatic tries
+     */
+    async _reconnect(attempt = 0) {
+        const session = this.connectionSession;
+        this._cancelReconnect();
+        const run = this._reconnectRun;
+        this.connectionModal.setDetail('Reconnecting...');
+        try {
+            await this._connect(session.roomCode, {
+                password: session.password,
+                spectate: session.spectate,
+                resume: session.playerId
+                    ? { playerId: session.playerId, token: session.token || '', full: true }
+                    : null
+            });
+        } catch (err) {
+            if (run !== this._reconnectRun) return;
+            console.error('Reconnect failed:', err);
+            this._showConnectionProblem(err, session, attempt + 1);
+            return;
+        }
+        if (run !== this._reconnectRun) {
+            // The player gave up while this was connecting
+            this._leaveGame();
+            return;
+        }
+        this.connectionModal.hide();
+    }
+
+    /**
+     * Where we are now, to reconnect to after a drop
+     */
+    _currentSession() {
+        const session = this.clientState && this.clientState.session;
+        return {
+            roomCode: this.net.roomCode,
+            password: this.net.hello.password || '',
+            spectate: this.isSpectator,
+            playerId: session ? session.playerId : '',
+            token: session ? session.token : ''
+        };
+    }
+
+    // ---- Reconnect / Host Migration ----
+
+    /**
+     * The link to the host closed. Mid-match we first try to rejoin the same
+     * host with our session token (a locked phone or Wi-Fi drop). If the host
+     * itself is gone, the remaining players elect a new one (lowest player
+     * index first), which re-opens the room under the same code with the last
+     * state it received; everyone else reconnects and the match goes on.
+     */
+    async _onHostLost() {
+        // Taken now: if we get elected and the takeover fails, our client
+        // state (and the token to resume with) is gone by the time we give up
+        const session = this._currentSession();
+
+        // Kicked: the host is still there, it just doesn't want us back
+        if (this.net.rejection && !this.reconnecting) {
+            const rejection = this.net.rejection;
+            this._leaveGame();
+            this._showConnectionProblem(rejection, session);
+            return;
+        }
+        if (!this._matchRunning()) {
+            this._leaveGame();
+            this._showConnectionProblem({ type: 'host-left' }, session);
+            return;
+        }
+        if (this.reconnecting) return;
+        this.reconnecting = true;
+        this.hud.showWarning('CONNECTION LOST — RECONNECTING...');
+
+        // Every client derives the same order from the last lobby update
+        const candidates = this.lobbyPlayers
+            .filter(p => p.peerId && !p.isHost)
+            .sort((a, b) => a.index - b.index);
+
+        try {
+            let resumed = await this._rejoinRoom(this.rejoinTimeout);
+            for (const candidate of candidates) {
+                if (resumed) break;
+                if (candidate.index === this.localPlayerIndex) {
+                    await this._becomeHost();
+                    resumed = true;
+                    break;
                 }
-                this._updateLobbyUI();
-            };
+                // Wait for this candidate to re-open the room; if it never
+                // does, it's gone too and the next one in line takes over.
+                // Give it the whole takeover window, or two of us race for the room.
+                resumed = await this._rejoinRoom(this.takeOverTimeout + this.rejoinTimeout);
+            }
+            if (!resumed) throw new Error('No host took over the room');
+        } catch (err) {
+            console.error('Reconnect failed:', err);
+            this.reconnecting = false;
+            this._leaveGame();
+            this._showConnectionProblem(err.type === 'rejected' ? err : { type: 'lost' }, session);
+            return;
+        }
+        this.reconnecting = false;
+    }
 
-            // Handle game start
-            this.clientState.onGameStart = (data) => {
-                this._initMatch(data);
-            };
+    async _becomeHost() {
+        await this.net.takeOverRoom(this.takeOverTimeout);
+        // Only now: if the takeover fails we still need our session to rejoin with
+        const latest = this.clientState.latestState();
+        const lastId = this.clientState.replicas.lastId;
+        this.clientState.destroy();
+        this.clientState = null;
+        // Hosts have nobody to resume with after a reload
+        clearSession();
 
-            // Handle state updates
-            this.clientState.onStateReceived = (state) => {
-                this._applyNetworkState(state);
-            };
+        // Continue from the last authoritative snapshot
+        if (latest) {
+            this._applyNetworkState(latest);
+            if (latest.time !== undefined) this.sim.gameTime = latest.time;
+        }
+        // Ids the clients already know (even of things gone since) stay taken
+        this.sim.ids.skipPast(lastId);
 
-            // Handle events
-            this.clientState.onEventReceived = (event) => {
-                this._handleGameEvent(event);
-            };
+        this._createHostState();
+        if (latest && latest.tick) this.hostState.tick = latest.tick;
+        // Keep the room as private as it was: new players need the password we joined with
+        this.net.locked = false;
+        this.net.password = this.net.hello.password || '';
 
-            // Handle match end
-            this.clientState.onGameEnd = (rankings) => {
-                this._showRankings(rankings);
-            };
+        // The old host is gone; everyone else gets a grace window to reconnect
+        // (spectators just join again as new spectators)
+        this.peerPlayerMap.clear();
+        this.sessions.clear();
+        this.spectators = [];
+        // Its astronaut goes with it, or it would stand there frozen and hittable
+        const oldHost = this.lobbyPlayers.find(p => p.isHost);
+        if (oldHost) this.sim.players = this.sim.players.filter(p => p.id !== oldHost.playerId);
+        this.lobbyPlayers = this.lobbyPlayers.filter(p => !p.isHost);
+        for (const lp of this.lobbyPlayers) {
+            if (lp.index === this.localPlayerIndex) {
+                lp.isHost = true;
+                lp.peerId = null;
+            } else {
+                this._holdSlot(lp, true);
+            }
+        }
+        this._bindHostHandlers();
+        this._broadcastLobby();
+        this.hud.showWarning('YOU ARE NOW THE HOST');
+    }
 
-            this.menu.showClientLobby(code);
-            this.state = State.LOBBY;
+    /**
+     * Connect to whoever hosts the room now and reclaim our slot.
+     * Resolves false if nobody answered in time.
+     */
+    async _rejoinRoom(timeout) {
+        const session = this.clientState.session;
+        const local = this._localPlayer();
+        const hello = this.isSpectator
+            ? { role: 'spectator', profile: this.profile }
+            : {
+                role: 'player',
+                resume: {
+                    playerId: session ? session.playerId : (local ? local.id : ''),
+                    token: session ? session.token : ''
+                }
+            };
+        // Spectators come back as new arrivals, password and all
+        if (this.net.hello.password) hello.password = this.net.hello.password;
+        try {
+            await this.net.rejoinRoom(timeout, hello);
         } catch (err) {
-            console.error('Failed to join:', err);
-            this.menu.setStatus('Failed to connect. Check the code and try again.');
+            // A host that answered and said no won't change its mind
+            if (err.type === 'rejected') throw err;
+            return false;
         }
+        this.clientState.resetConnection();
+        return true;
     }
 
     _updateLobbyUI() {
+        if (this.net.isHost) this._checkReady();
         const playerData = [];
         for (let i = 0; i < 4; i++) {
-            const p = this.lobbyPlayers[i];
-            playerData[i] = p ? { name: p.name } : null;
+            const p = this.lobbyPlayers.find(lp => lp.index === i);
+            playerData[i] = p
+                ? {
+                    name: p.name, color: p.color, cosmetic: p.cosmetic,
+                    peerId: p.peerId, ready: !!p.ready, muted: !!p.muted
+                }
+                : null;
         }
-        this.menu.updatePlayerList(playerData);
-        this.menu.setStatus(`${this.lobbyPlayers.length}/4 players connected`);
+        this.menu.updatePlayerList(playerData, this.net.isHost);
+
+        const own = !this.isSpectator && this.lobbyPlayers.find(p => p.index === this.localPlayerIndex);
+        this.menu.setReady(!!(own && own.ready), !!own);
+        // The colour we actually got (ours may have been taken)
+        this.menu.setProfile({ ...this.profile, color: own ? own.color : this.profile.color },
+            this._takenColors(own));
+
+        const canPromote = this.net.isHost && !this._matchRunning() && this._freeSeat() !== -1;
+        this.menu.updateSpectatorList(this.spectators, canPromote, this.net.isHost);
+
+        let status = `${this.lobbyPlayers.length}/4 players connected`;
+        if (this.spectators.length > 0) status += ` · ${this.spectators.length} watching`;
+        if (this.lobbyPlayers.length >= 2) {
+            status += ` · ${this.lobbyPlayers.filter(p => p.ready).length} ready`;
+        }
+        if (this.isSpectator) status = 'Spectating — waiting for the host to start...';
+        if (this.lobbyCountdown !== null) status = `Everyone's ready — starting in ${Math.ceil(this.lobbyCountdown)}...`;
+        this.menu.setStatus(status);
     }
 
     // ---- Start Game ----
@@ -247,33 +1129,15 @@ class Game {
             return;
         }
 
-        // Generate map
-        this.planets = generateMap(this.lobbyPlayers.length);
-
-        // Create players at spawn points
-        this.players = [];
-        const spawnPlanets = this.planets.slice(1); // Skip central planet
-
-        for (let i = 0; i < this.lobbyPlayers.length; i++) {
-            const lp = this.lobbyPlayers[i];
-            const player = new Player(
-                lp.peerId || 'host',
-                lp.name,
-                lp.color,
-                i
-            );
-            const spawnPlanet = spawnPlanets[i % spawnPlanets.length];
-            const spawnAngle = -Math.PI / 2; // Top of planet
-            player.spawn(spawnPlanet, spawnAngle);
-            this.players.push(player);
-        }
-
-        // Build start data
-        const startData = {
-            planets: this.planets.map(p => p.serialize()),
-            players: this.players.map(p => p.serialize()),
-            matchTime: this.matchTime
-        };
+        // Ready flags are per match
+        this.lobbyCountdown = null;
+        for (const lp of this.lobbyPlayers) lp.ready = false;
+
+        // Seating order decides spawns; name, colour and cosmetic come from the lobby
+        const roster = [...this.lobbyPlayers]
+            .sort((a, b) => a.index - b.index)
+            .map(lp => ({ id: lp.playerId, index: lp.index, name: lp.name, color: lp.color, cosmetic: lp.cosmetic }));
+        const startData = this.sim.setup(roster);
 
         // Broadcast start
         this.hostState.broadcastStart(startData);
@@ -283,21 +1147,35 @@ class Game {
     }
 
     _initMatch(data) {
-        // Setup planets
-        this.planets = data.planets.map(pd => Planet.deserialize(pd));
-
-        // Setup players
-        this.players = data.players.map(pd => Player.fromSerialized(pd));
-
-        // Reset state
-        this.projectiles = [];
-        this.meteorites = [];
+        // A rematch started while we were watching the last one
+        if (this.replay) this._closeReplay();
+        this.sim.load(data);
         this.particles = new ParticlePool(600);
-        this.matchTimer = data.matchTime || this.matchTime;
-        this.gameTime = 0;
-        this.hazards.reset();
+        this.sim.particles = this.particles;
         this.hud.clear();
 
+        // Clients predict their own astronaut instead of waiting for the host
+        if (this.clientState && !this.isSpectator) {
+            const local = this._localPlayer();
+            if (local) this.clientState.startPrediction(local, this.sim.planets, this.sim.gravity);
+        }
+        this.spectatorCam.setActive(this.isSpectator);
+        this.hud.showSpectatorBar(this.isSpectator);
+
+        if (this.net.isHost || this.recordAsClient) this.recorder.start(this.sim.startData());
+        else this.recorder.stop();
+        this.killcamBuffer.clear();
+        this._stopKillcam();
+
+        // Joining a match already under way skips the countdown
+        if (data.inProgress) {
+            this.state = State.PLAYING;
+            this.menu.showScreen('hud');
+            // A player back from a reload needs their controls
+            if (!this.isSpectator) this.input.show();
+            return;
+        }
+
         // Countdown
         this.state = State.COUNTDOWN;
         this.countdownTimer = 3;
@@ -306,24 +1184,180 @@ class Game {
 
     // ---- Leave Game ----
     _leaveGame() {
+        if (this.replay) this._closeReplay();
         this.net.disconnect();
+        clearSession();
+        this.sim.collision.lagCompensation = null;
+        if (this.clientState) this.clientState.destroy();
+        for (const held of this.heldSlots.values()) clearTimeout(held.timeout);
+        this.heldSlots.clear();
+        this.sessions.clear();
         this.hostState = null;
         this.clientState = null;
         this.state = State.MENU;
         this.menu.showScreen('menu');
         this.input.hide();
         this.lobbyPlayers = [];
+        this.spectators = [];
+        this.lobbyCountdown = null;
+        this.isSpectator = false;
+        this.spectatorCam.setActive(false);
+        this.hud.showSpectatorBar(false);
         this.peerPlayerMap.clear();
+        this.linkInfo.clear();
+        this.netOverlay.clear();
+        this.chat.clear();
+        this.chatRelay.reset();
+        this.recorder.stop();
+        this._stopKillcam();
+    }
+
+    // ---- Replays ----
+
+    /**
+     * Watch a recording (see Replay.js) with the spectator camera. Closing
+     * it goes back to the results or the menu, wherever it was opened.
+     */
+    _watchReplay(recording) {
+        this.replay = new ReplayPlayer(recording);
+        this.replayReturn = this.state;
+        this.sim.load(recording.start);
+        this.particles = new ParticlePool(600);
+        this.sim.particles = this.particles;
+        this.hud.clear();
+        this.hud.showSpectatorBar(false);
+        this.spectatorCam.setActive(true);
+        this.input.hide();
+        this.menu.setMenuStatus('');
+        this.menu.showScreen('hud');
+        this.replayViewer.show(this.replay.duration);
+        this.replayViewer.setCameraMode(this.spectatorCam.mode);
+        this.state = State.REPLAY;
+    }
+
+    _closeReplay() {
+        this.replay = null;
+        this.replayViewer.hide();
+        this.spectatorCam.setActive(this.isSpectator);
+        this.hud.showSpectatorBar(this.isSpectator);
+        this.state = this.replayReturn;
+        this.menu.showScreen(this.state === State.RANKING ? 'ranking' : 'menu');
+    }
+
+    _updateReplay(dt) {
+        const replay = this.replay;
+        const events = replay.update(dt);
+        if (replay.jumped) {
+            // Effects from before the jump don't belong here
+            this.particles = new ParticlePool(600);
+            this.sim.particles = this.particles;
+            this.hud.clear();
+        }
+        for (const event of events) {
+            this._handleGameEvent(event);
+        }
+        replay.applyTo(this.sim);
+
+        // Effects run on the replay's clock; the camera on ours, so it can move while paused
+        const replayDt = replay.playing ? dt * replay.speed : 0;
+        for (const pickup of this.sim.pickups) {
+            pickup.update(replayDt);
+        }
+        if (replayDt > 0) {
+            for (const met of this.sim.meteorites) {
+                if (met.active) this.particles.meteorTrail(met.x, met.y);
+            }
+        }
+        this.particles.update(replayDt);
+
+        this.hud.updateTimer(this.sim.matchTimer);
+        this.hud.updatePlayers(this.sim.players);
+        this.spectatorCam.update(dt, this.sim.players, this.sim.planets);
+        this.replayViewer.update(replay);
+    }
+
+    // ---- Killcam ----
+
+    /**
+     * Someone shot us: once the death has played out live, show how
+     */
+    _queueKillcam(event) {
+        const killer = this.sim.players.find(p => p.id === event.killerId);
+        // The void, meteorites and our own shots have nobody to show
+        if (!killer || killer.id === event.victimId) return;
+        this.killcamPending = { event, wait: this.killcamDelay };
+    }
+
+    _startKillcam(event) {
+        const local = this._localPlayer();
+        const killer = this.sim.players.find(p => p.id === event.killerId);
+        if (!local || local.alive || !killer) return;
+
+        const clip = this.killcamBuffer.clip(this.killcamLength + this.killcamDelay);
+        if (clip.frames.length < 2) return;
+        const replay = new ReplayPlayer(clip);
+        // Slowed down to fill the wait, but gone before we respawn
+        const wait = local.respawnTimer - 0.2;
+        replay.speed = wait > 0 ? Math.min(1, (replay.duration - replay.startTime) / wait) : 1;
+
+        const world = {
+            planets: this.sim.planets,
+            players: [], projectiles: [], meteorites: [], pickups: [],
+            matchTimer: 0, gameTime: 0
+        };
+        replay.applyTo(world);
+        this.killcam = {
+            replay,
+            world,
+            killerId: killer.id,
+            victimId: local.id,
+            paths: projectilePaths(clip, killer.id)
+        };
+        this.hud.showKillcam({
+            name: killer.name,
+            color: killer.color,
+            weapon: event.weapon || killer.currentWeapon,
+            health: killer.health,
+            maxHealth: killer.maxHealth
+        });
+    }
+
+    _updateKillcam(dt) {
+        if (this.killcamPending) {
+            this.killcamPending.wait -= dt;
+            if (this.killcamPending.wait <= 0) {
+                const { event } = this.killcamPending;
+                this.killcamPending = null;
+                this._startKillcam(event);
+            }
+        }
+        if (!this.killcam) return;
+
+        const { replay, world } = this.killcam;
+        replay.update(dt);
+        replay.applyTo(world);
+        const local = this._localPlayer();
+        if (!replay.playing || !local || local.alive) this._stopKillcam();
+    }
+
+    _stopKillcam() {
+        this.killcamPending = null;
+        if (!this.killcam) return;
+        this.killcam = null;
+        this.hud.hideKillcam();
     }
 
     // ---- Update ----
     update(dt) {
         switch (this.state) {
             case State.MENU:
-            case State.LOBBY:
                 // Just animate background
                 break;
 
+            case State.LOBBY:
+                this._updateReadyCountdown(dt);
+                break;
+
             case State.COUNTDOWN:
                 this.countdownTimer -= dt;
                 document.getElementById('countdown-number').textContent =
@@ -331,7 +1365,7 @@ class Game {
                 if (this.countdownTimer <= 0) {
                     this.state = State.PLAYING;
                     this.menu.showScreen('hud');
-                    this.input.show();
+                    if (!this.isSpectator) this.input.show();
                 }
                 break;
 
@@ -341,17 +1375,29 @@ class Game {
                 if (!this._frameInput) {
                     this._frameInput = this.input.getInput();
                 }
+                // Frozen while we get back to (or become) the host
+                if (this.reconnecting) break;
                 if (this.net.isHost) {
                     this._updateHost(dt);
                 } else {
                     this._updateClient(dt);
                 }
+                this.recorder.capture(this.sim, dt);
+                if (!this.isSpectator) {
+                    this.killcamBuffer.capture(this.sim, dt);
+                    this._updateKillcam(dt);
+                }
+                this.netOverlay.update(dt, () => this._netMetrics());
                 // Mark input as consumed after this tick
                 // (the loop may call update again, but we keep the input for all ticks)
                 break;
 
             case State.RANKING:
                 break;
+
+            case State.REPLAY:
+                this._updateReplay(dt);
+                break;
         }
     }
 
@@ -363,146 +1409,27 @@ class Game {
     }
 
     _updateHost(dt) {
-        this.gameTime += dt;
-        this.matchTimer -= dt;
-
         // Use cached frame input (sampled once per frame, not per tick)
-        const localInput = this._frameInput || { moveX: 0, moveY: 0, jump: false, shootTarget: null };
-        this._processInput(this.players[0], localInput, dt);
-        // Clear one-shot events after first tick processes them
-        // Note: shootTarget and jump are continuous now based on InputManager
+        const inputs = new Map();
+        const local = this._localPlayer();
+        if (local) inputs.set(local.id, this._worldInput(this._frameInput));
 
-        // Process remote inputs
+        // Remote inputs (one per tick from each client's input stream)
         for (const [peerId, playerIdx] of this.peerPlayerMap) {
-            const input = this.hostState.getInput(peerId);
-            if (input && this.players[playerIdx]) {
-                this._processInput(this.players[playerIdx], input, dt);
-            }
-        }
-
-        // Update gravity for players FIRST (before timers, so jumpGraceTimer is still active)
-        this.gravity.update(this.players.filter(p => p.alive), this.planets, dt);
-
-        // THEN update timers (cooldowns, invulnerability, jumpGraceTimer, etc.)
-        for (const player of this.players) {
-            player.updateTimers(dt);
-        }
-
-        // Update gravity for projectiles
-        for (const proj of this.projectiles) {
-            if (!proj.active) continue;
-            for (const planet of this.planets) {
-                const pos = new Vec2(proj.x, proj.y);
-                const dist = pos.distTo(new Vec2(planet.x, planet.y));
-                if (dist < planet.gravityRange) {
-                    const accel = Physics.gravityAccel(pos, planet);
-                    proj.vx += accel.x * dt;
-                    proj.vy += accel.y * dt;
-                }
-            }
-            proj.update(dt);
-        }
-
-        // Update meteorites with gravity
-        for (const met of this.meteorites) {
-            if (!met.active) continue;
-            for (const planet of this.planets) {
-                const pos = new Vec2(met.x, met.y);
-                const dist = pos.distTo(new Vec2(planet.x, planet.y));
-                if (dist < planet.gravityRange) {
-                    const accel = Physics.gravityAccel(pos, planet);
-                    met.vx += accel.x * dt * 0.5;
-                    met.vy += accel.y * dt * 0.5;
-                }
-            }
-            met.update(dt);
-        }
-
-        // Update pickups (bobbing)
-        for (const pickup of this.pickups) {
-            pickup.update(dt);
-        }
-
-        // Spawn pickups periodically (host only)
-        this.pickupSpawnTimer -= dt;
-        if (this.pickupSpawnTimer <= 0) {
-            this.pickupSpawnTimer = 10; // Every 10 seconds
-            if (this.pickups.filter(p => p.active).length < 8) {
-                const planet = this.planets[Math.floor(Math.random() * this.planets.length)];
-                const angle = Math.random() * Math.PI * 2;
-                const pos = planet.getSurfacePoint(angle);
-                const typeArr = ['HEALTH', 'MACHINE_GUN', 'SNIPER', 'SHOTGUN'];
-                const type = typeArr[Math.floor(Math.random() * typeArr.length)];
-                const id = 'pickup_' + Date.now() + '_' + Math.random();
-                // Adjust position to be slightly above planet
-                const dir = new Vec2(pos.x - planet.x, pos.y - planet.y).normalize();
-                const spawnX = planet.x + dir.x * (planet.radius + 30);
-                const spawnY = planet.y + dir.y * (planet.radius + 30);
-                this.pickups.push(new Pickup(id, spawnX, spawnY, type));
-            }
-        }
-
-        // Pickup collisions
-        for (const player of this.players) {
-            if (!player.alive) continue;
-            for (const pickup of this.pickups) {
-                if (!pickup.active) continue;
-                const dist = Math.sqrt((player.x - pickup.x) ** 2 + (player.y - pickup.y) ** 2);
-                if (dist < player.radius + pickup.radius) {
-                    pickup.active = false;
-                    this._handlePickupEffect(player, pickup);
-                    this.hostState.broadcastEvent({
-                        type: 'pickup',
-                        playerId: player.id,
-                        pickupId: pickup.id,
-                        pickupType: pickup.typeKey,
-                        x: pickup.x,
-                        y: pickup.y
-                    });
-                }
-            }
+            const player = this.sim.players.find(p => p.index === playerIdx);
+            const input = this.hostState.getInput(peerId, player, dt);
+            if (input && player) inputs.set(player.id, input);
         }
 
-        // Cleanup inactive pickups
-        this.pickups = this.pickups.filter(p => p.active);
-
-        // Hazard system (spawn meteorites)
-        this.hazards.update(dt, this.meteorites, this.planets);
-
-        // Collision detection
-        const events = this.collision.update(
-            this.players, this.projectiles, this.meteorites,
-            this.planets, this.particles
-        );
-
-        // Handle events
-        for (const event of events) {
-            this._handleGameEvent(event);
+        for (const event of this.sim.step(inputs, dt)) {
             this.hostState.broadcastEvent(event);
-        }
-
-        // Respawn dead players
-        for (const player of this.players) {
-            // Infinite void death check (if player flies too far into infinity)
-            if (player.alive) {
-                const distFromCenter = Math.sqrt(player.x * player.x + player.y * player.y);
-                if (distFromCenter > 2000) { // Void boundary
-                    player.takeDamage(9999, 'void');
-                    this.hud.addKillFeed('The Void', player.name, '#555555');
-                }
-            }
-
-            if (!player.alive && player.respawnTimer <= 0) {
-                // Safety check for planet length
-                const planetIdx = this.planets.length > 1 ? 1 + (player.index % (this.planets.length - 1)) : 0;
-                const spawnPlanet = this.planets[planetIdx];
-                const angle = Math.random() * Math.PI * 2;
-                player.spawn(spawnPlanet, angle);
-            }
+            this.recorder.addEvent(event);
+            // Pickups already took effect in the simulation
+            if (event.type !== 'pickup') this._handleGameEvent(event);
         }
 
         // Meteorite trail particles
-        for (const met of this.meteorites) {
+        for (const met of this.sim.meteorites) {
             if (met.active) {
                 this.particles.meteorTrail(met.x, met.y);
             }
@@ -511,189 +1438,225 @@ class Game {
         // Update particles
         this.particles.update(dt);
 
+        // Link grades for everyone's HUD cards, once a second
+        this.linkShareTimer -= dt;
+        if (this.linkShareTimer <= 0) {
+            this.linkShareTimer = 1;
+            this._shareLinks();
+        }
+
         // Update HUD
-        this.hud.updateTimer(this.matchTimer);
-        this.hud.updatePlayers(this.players);
+        this.hud.updateTimer(this.sim.matchTimer);
+        this.hud.updatePlayers(this.sim.players, this._playerLinks());
 
         // Meteor shower warning
-        if (this.hazards.isShowerActive()) {
-            if (this.gameTime % 5 < dt) {
+        if (this.sim.hazards.isShowerActive()) {
+            if (this.sim.gameTime % 5 < dt) {
                 this.hud.showWarning('METEOR SHOWER!');
             }
         }
 
         // Broadcast state
-        this.hostState.broadcastState(dt, this._serializeGameState());
+        this.hostState.broadcastState(dt, this.sim.serialize(), this.sim);
+        const lagComp = this.sim.collision.lagCompensation;
+        if (lagComp) lagComp.record(this.hostState.tick, this.sim.players);
 
-        // Check win conditions
-        this._checkWinConditions();
+        if (this.sim.over) this._endMatch();
 
         // Camera follows local player + nearby action
         this._updateCamera(dt);
     }
 
+    /**
+     * This frame's input with screen targets turned into world coordinates
+     */
+    _worldInput(frameInput) {
+        const input = frameInput || { moveX: 0, moveY: 0, jump: false, shootTarget: null };
+        return {
+            ...input,
+            shootTarget: input.shootTarget
+                ? this.camera.screenToWorld(input.shootTarget.x, input.shootTarget.y)
+                : null,
+            aimTarget: input.aimTarget
+                ? this.camera.screenToWorld(input.aimTarget.x, input.aimTarget.y)
+                : null
+        };
+    }
+
     _updateClient(dt) {
-        this.gameTime += dt;
+        this.sim.gameTime += dt;
 
-        // Send local input (use cached frame input)
-        const localInput = this._frameInput || { moveX: 0, moveY: 0, jump: false, shootTarget: null };
-        if (localInput.shootTarget) {
-            // Convert screen coords to world coords for the shoot target
-            const world = this.camera.screenToWorld(localInput.shootTarget.x, localInput.shootTarget.y);
-            localInput.shootTarget = world;
+        // Everything the host simulates, as of the interpolation delay
+        const state = this.clientState.getInterpolatedState();
+        if (state) this._applyNetworkState(state);
+
+        // Pickups bob locally
+        for (const pickup of this.sim.pickups) {
+            pickup.update(dt);
+        }
+
+        if (this.isSpectator) {
+            this._updateSpectator(dt);
+            return;
         }
-        this.clientState.sendInput(dt, localInput);
+
+        // Record this tick's input (cached frame input, targets in world coords)
+        this.clientState.predict(dt, this._worldInput(this._frameInput));
+        this.clientState.sendInput(dt);
+
+        const local = this._localPlayer();
+        if (local) this.clientState.applyPrediction(local);
 
         // Update particles locally
         this.particles.update(dt);
 
         // Meteorite trails (local visual only)
-        for (const met of this.meteorites) {
+        for (const met of this.sim.meteorites) {
             if (met.active) {
                 this.particles.meteorTrail(met.x, met.y);
             }
         }
 
         // Update HUD
-        this.hud.updateTimer(this.matchTimer);
-        this.hud.updatePlayers(this.players);
+        this.hud.updateTimer(this.sim.matchTimer);
+        this.hud.updatePlayers(this.sim.players, this._playerLinks());
 
         // Update camera
         this._updateCamera(dt);
     }
 
-    _processInput(player, input, dt) {
-        if (!player || !player.alive) return;
-
-        // Movement
-        player.moveX = input.moveX || 0;
-
-        // Jump
-        if (input.jump) {
-            const { planet } = Physics.nearestPlanet(
-                new Vec2(player.x, player.y), this.planets
-            );
-            if (planet && this.gravity.jump(player, planet)) {
-                this.particles.jumpDust(player.x, player.y, player.surfaceAngle);
-            }
-        }
-
-        // Continuous aim tracking (update arm direction toward mouse/touch)
-        if (input.aimTarget && this.net.isHost && player.index === 0) {
-            // Host local: convert screen to world
-            const world = this.camera.screenToWorld(input.aimTarget.x, input.aimTarget.y);
-            this._updateAim(player, world.x, world.y);
-        } else if (input.aimTarget) {
-            // Client input already in world coords
-            this._updateAim(player, input.aimTarget.x, input.aimTarget.y);
-        }
-
-        // Shoot
-        if (input.shootTarget) {
-            let targetX, targetY;
-            if (this.net.isHost && player.index === 0) {
-                // Host local input: convert screen to world
-                const world = this.camera.screenToWorld(input.shootTarget.x, input.shootTarget.y);
-                targetX = world.x;
-                targetY = world.y;
-            } else {
-                // Client input already in world coords
-                targetX = input.shootTarget.x;
-                targetY = input.shootTarget.y;
-            }
-
-            // Update aim angle before firing
-            this._updateAim(player, targetX, targetY);
-
-            const newProjs = this.weapons.fire(player, targetX, targetY, this.particles);
-            this.projectiles.push(...newProjs);
-        }
-    }
-
     /**
-     * Update player aim direction (for arm rendering)
+     * Spectators only watch: no input, no prediction, their own camera
      */
-    _updateAim(player, worldX, worldY) {
-        const dx = worldX - player.x;
-        const dy = worldY - player.y;
-        const worldAngle = Math.atan2(dy, dx);
-        // Convert to player's local frame (renderer rotates by surfaceAngle + PI/2)
-        player.aimAngle = worldAngle - player.surfaceAngle - Math.PI / 2;
-        // Flip facing based on aim
-        if (Math.cos(player.aimAngle) < 0 && !player.facingLeft) player.facingLeft = true;
-        if (Math.cos(player.aimAngle) > 0 && player.facingLeft) player.facingLeft = false;
-    }
-
-    _serializeGameState() {
-        return {
-            players: this.players.map(p => p.serialize()),
-            projectiles: this.projectiles.map(p => p.serialize()),
-            meteorites: this.meteorites.map(m => m.serialize()),
-            timer: Math.round(this.matchTimer * 10) / 10,
-            time: Math.round(this.gameTime * 10) / 10
-        };
+    _updateSpectator(dt) {
+        this.particles.update(dt);
+        for (const met of this.sim.meteorites) {
+            if (met.active) this.particles.meteorTrail(met.x, met.y);
+        }
+        this.hud.updateTimer(this.sim.matchTimer);
+        this.hud.updatePlayers(this.sim.players, this._playerLinks());
+        this._updateCamera(dt);
     }
 
     _applyNetworkState(state) {
         // Update players
         if (state.players) {
             for (const pd of state.players) {
-                let player = this.players.find(p => p.id === pd.id);
+                let player = this.sim.players.find(p => p.id === pd.id);
                 if (player) {
                     player.applyState(pd);
+                    if (player.index === this.localPlayerIndex && this.clientState) {
+                        this.clientState.applyPrediction(player);
+                    }
                 } else {
-                    this.players.push(Player.fromSerialized(pd));
+                    this.sim.players.push(Player.fromSerialized(pd));
                 }
             }
+            // Kicked players are gone from the host's state
+            if (this.sim.players.length > state.players.length) {
+                this.sim.players = this.sim.players.filter(p => state.players.some(pd => pd.id === p.id));
+            }
         }
 
-        // Update projectiles
-        if (state.projectiles) {
-            this.projectiles = state.projectiles.map(pd => Projectile.fromSerialized(pd));
-        }
-
-        // Update meteorites
-        if (state.meteorites) {
-            this.meteorites = state.meteorites.map(md => Meteorite.fromSerialized(md));
+        // Projectiles, meteorites and pickups are persistent replicas
+        if (this.clientState) {
+            const world = this.clientState.replicas.apply(state, this.clientState.viewTick);
+            this.sim.projectiles = world.projectiles;
+            this.sim.meteorites = world.meteorites;
+            this.sim.pickups = world.pickups;
         }
 
         // Update timer
         if (state.timer !== undefined) {
-            this.matchTimer = state.timer;
+            this.sim.matchTimer = state.timer;
         }
     }
 
-    _handlePickupEffect(player, pickup) {
-        if (pickup.typeKey === 'HEALTH') {
-            player.health = Math.min(player.maxHealth, player.health + 40);
-            this.particles.explosion(pickup.x, pickup.y, '#00ff88', 15);
-        } else {
-            // Weapon pickups
-            player.currentWeapon = pickup.typeKey;
-            this.particles.explosion(pickup.x, pickup.y, pickup.type.color, 15);
-            console.log(`${player.name} picked up ${pickup.typeKey}`);
+    /**
+     * Host: grade every connected player's link and tell the clients
+     */
+    _shareLinks() {
+        this.linkInfo.clear();
+        for (const lp of this.lobbyPlayers) {
+            const link = lp.peerId && this.hostState.getLink(lp.peerId);
+            if (link) this.linkInfo.set(lp.playerId, link);
         }
+        this.hostState.broadcastLinks(
+            [...this.linkInfo].map(([id, link]) => ({ id, ...link }))
+        );
+    }
+
+    _playerLinks() {
+        return this.clientState ? this.clientState.links : this.linkInfo;
+    }
+
+    /**
+     * Numbers for the diagnostics overlay. The host averages its peers'
+     * round trips; it has no interpolation buffer.
+     */
+    _netMetrics() {
+        const stats = this.net.stats;
+        const links = this._playerLinks();
+        const peers = [...links].map(([id, link]) => {
+            const player = this.sim.players.find(p => p.id === id);
+            return { name: player ? player.name : id, ...link };
+        });
+
+        if (this.clientState) {
+            return {
+                rtt: this.clientState.ping,
+                jitter: this.clientState.jitter,
+                snapshots: this.clientState.snapshotsReceived,
+                bytesIn: stats.bytesInPerSec,
+                bytesOut: stats.bytesOutPerSec,
+                buffer: this.clientState.bufferDepth(),
+                peers
+            };
+        }
+
+        const average = (key) => peers.length
+            ? peers.reduce((sum, p) => sum + p[key], 0) / peers.length
+            : null;
+        return {
+            rtt: average('rtt'),
+            jitter: average('jitter'),
+            snapshots: this.hostState ? this.hostState.snapshotsSent : 0,
+            bytesIn: stats.bytesInPerSec,
+            bytesOut: stats.bytesOutPerSec,
+            buffer: null,
+            peers
+        };
+    }
+
+    _localPlayer() {
+        return this.sim.players.find(p => p.index === this.localPlayerIndex) || null;
     }
 
     _handleGameEvent(event) {
+        if (this.spectatorCam.active) this.spectatorCam.noteEvent(event);
         switch (event.type) {
             case 'kill':
-                const killer = this.players.find(p => p.id === event.killerId);
+                const killer = this.sim.players.find(p => p.id === event.killerId);
+                const victim = this.sim.players.find(p => p.id === event.victimId);
                 this.hud.addKillFeed(
                     event.killerName || 'Unknown',
                     event.victimName || 'Unknown',
-                    killer?.color || '#fff'
+                    killer?.color || (event.killerId === '__void' ? '#555555' : '#fff'),
+                    victim?.color
                 );
                 this.camera.shake(8, 0.4);
+                if (this.state === State.PLAYING && victim && victim === this._localPlayer()) {
+                    this._queueKillcam(event);
+                }
                 break;
             case 'hit':
                 this.particles.impact(event.x, event.y, event.color || '#ffffff');
                 break;
             case 'pickup':
-                const p = this.players.find(pl => pl.id === event.playerId);
+                const p = this.sim.players.find(pl => pl.id === event.playerId);
                 if (p) p.currentWeapon = event.pickupType;
                 // Find and hide pickup if exists locally
-                const pickup = this.pickups.find(pk => pk.id === event.pickupId);
+                const pickup = this.sim.pickups.find(pk => pk.id === event.pickupId);
                 if (pickup) pickup.active = false;
                 this.particles.explosion(event.x || 0, event.y || 0, '#ffffff', 10);
                 break;
@@ -706,31 +1669,8 @@ class Game {
         }
     }
 
-    _checkWinConditions() {
-        // Check kill target
-        for (const player of this.players) {
-            if (player.kills >= this.killTarget) {
-                this._endMatch();
-                return;
-            }
-        }
-
-        // Check time
-        if (this.matchTimer <= 0) {
-            this._endMatch();
-        }
-    }
-
     _endMatch() {
-        const rankings = this.players.map(p => ({
-            name: p.name,
-            color: p.color,
-            kills: p.kills,
-            deaths: p.deaths,
-            shotsFired: p.shotsFired,
-            shotsHit: p.shotsHit,
-            damageDealt: p.damageDealt
-        }));
+        const rankings = this.sim.rankings();
 
         if (this.net.isHost) {
             this.hostState.broadcastEnd(rankings);
@@ -740,20 +1680,37 @@ class Game {
     }
 
     _showRankings(rankings) {
+        this._stopKillcam();
         this.state = State.RANKING;
         this.input.hide();
+        this.ranking.setHost(this.net.isHost);
+        this.ranking.setReplay(!!this.recorder.finish(rankings));
         this.menu.showScreen('ranking');
         this.ranking.show(rankings);
     }
 
     _updateCamera(dt) {
+        if (this.isSpectator) {
+            this.spectatorCam.update(dt, this.sim.players, this.sim.planets);
+            return;
+        }
+
+        // Killcam: the killer, with us in shot
+        if (this.killcam) {
+            const positions = this.killcam.world.players
+                .filter(p => p.id === this.killcam.killerId || p.id === this.killcam.victimId)
+                .map(p => ({ x: p.x, y: p.y }));
+            this.camera.follow(positions, dt);
+            return;
+        }
+
         // Collect alive player positions
-        const positions = this.players
+        const positions = this.sim.players
             .filter(p => p.alive)
             .map(p => ({ x: p.x, y: p.y }));
 
-        if (positions.length === 0 && this.planets.length > 0) {
-            positions.push({ x: this.planets[0].x, y: this.planets[0].y });
+        if (positions.length === 0 && this.sim.planets.length > 0) {
+            positions.push({ x: this.sim.planets[0].x, y: this.sim.planets[0].y });
         }
 
         this.camera.follow(positions, dt);
@@ -767,45 +1724,54 @@ class Game {
         // Background (always drawn)
         this.renderer.drawBackground(this.camera, 1 / 60);
 
-        if (this.state === State.PLAYING || this.state === State.COUNTDOWN || this.state === State.RANKING) {
+        if (this.state === State.PLAYING || this.state === State.COUNTDOWN ||
+            this.state === State.RANKING || this.state === State.REPLAY) {
+            // The killcam shows its own copy of the last few seconds
+            const world = this.killcam ? this.killcam.world : this.sim;
+
             // Apply camera transform
             this.camera.applyTransform(ctx);
 
             // Draw planets
-            for (const planet of this.planets) {
+            for (const planet of world.planets) {
                 this.renderer.drawPlanet(planet);
             }
 
             // Draw pickups
-            for (const pickup of this.pickups) {
+            for (const pickup of world.pickups) {
                 if (pickup.active) {
                     this.renderer.drawPickup(pickup);
                 }
             }
 
             // Draw projectiles
-            for (const proj of this.projectiles) {
+            for (const proj of world.projectiles) {
                 if (proj.active !== false) {
                     this.renderer.drawProjectile(proj);
                 }
             }
 
+            // Where the killer's shots went
+            if (this.killcam) this._drawKillcamPaths();
+
             // Draw meteorites
-            for (const met of this.meteorites) {
+            for (const met of world.meteorites) {
                 if (met.active !== false) {
                     this.renderer.drawMeteorite(met);
                 }
             }
 
-            // Draw particles
-            for (const p of this.particles.getActive()) {
-                this.renderer.drawParticle(p);
+            // Draw particles (live effects, so not over the killcam)
+            if (!this.killcam) {
+                for (const p of this.particles.getActive()) {
+                    this.renderer.drawParticle(p);
+                }
             }
 
             // Draw players
-            for (const player of this.players) {
+            for (const player of world.players) {
                 if (player.alive) {
-                    this.renderer.drawPlayer(player, this.gameTime);
+                    this.renderer.drawPlayer(player, world.gameTime);
                 }
             }
 
@@ -813,6 +1779,16 @@ class Game {
             this.camera.restoreTransform(ctx);
         }
     }
+
+    _drawKillcamPaths() {
+        const { replay, paths, world, killerId } = this.killcam;
+        const killer = world.players.find(p => p.id === killerId);
+        const color = killer ? killer.color : '#ffffff';
+        for (const path of paths.values()) {
+            const shown = path.filter(point => point.t <= replay.time);
+            this.renderer.drawProjectilePath(shown, color);
+        }
+    }
 }
 
 // ---- Bootstrap ----
@@ -0,0 +1,74 @@
+// =============================================
+// Chat.js — Chat messages, quick-chat emotes and the host's relay rules
+// =============================================
+
+export const CHAT_MAX_LENGTH = 120;
+
+// Quick-chat wheel: one tap, no typing (shown as a bubble and in the log)
+export const EMOTES = {
+    gg: { icon: '🤝', text: 'GG!' },
+    nice: { icon: '👍', text: 'Nice shot!' },
+    lol: { icon: '😂', text: 'LOL' },
+    oops: { icon: '😅', text: 'Oops!' },
+    angry: { icon: '😡', text: 'Grr!' },
+    bye: { icon: '👋', text: 'Bye!' }
+};
+
+/**
+ * Chat text safe to relay: control characters removed, whitespace
+ * collapsed, capped at CHAT_MAX_LENGTH. Empty means nothing to send.
+ */
+export function cleanChatText(text) {
+    if (typeof text !== 'string') return '';
+    return text
+        .replace(/[\u0000-\u001f\u007f-\u009f]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, CHAT_MAX_LENGTH);
+}
+
+/**
+ * Host: turns what a client asked to say into the message everyone gets.
+ * Names and colours come from the host's lobby, never from the sender,
+ * and each sender gets a small burst before being slowed down.
+ */
+export class ChatRelay {
+    constructor() {
+        this.burst = 4;             // Messages in a row
+        this.interval = 1500;       // ms per message after the burst
+        this._senders = new Map();  // sender id -> { tokens, last }
+    }
+
+    /**
+     * `sender` is { id, name, color } from the lobby. Returns the message to
+     * broadcast, or null if it's empty or the sender is talking too fast.
+     */
+    relay(sender, data, now = performance.now()) {
+        const emote = Object.hasOwn(EMOTES, data.emote) ? data.emote : null;
+        const text = emote ? '' : cleanChatText(data.text);
+        if (!emote && !text) return null;
+        if (!this._allow(sender.id, now)) return null;
+
+        const message = { from: sender.id, name: sender.name, color: sender.color };
+        if (emote) message.emote = emote;
+        else message.text = text;
+        return message;
+    }
+
+    _allow(id, now) {
+        let bucket = this._senders.get(id);
+        if (!bucket) {
+            bucket = { tokens: this.burst, last: now };
+            this._senders.set(id, bucket);
+        }
+        bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.last) / this.interval);
+        bucket.last = now;
+        if (bucket.tokens < 1) return false;
+        bucket.tokens--;
+        return true;
+    }
+
+    reset() {
+        this._senders.clear();
+    }
+}
@@ -3,6 +3,54 @@
 // =============================================
 
 import { Physics } from '../engine/Physics.js';
+import { Player } from '../entities/Player.js';
+import { readSnapshotHeader, decodeSnapshot } from './SnapshotCodec.js';
+import { ClockSync } from './ClockSync.js';
+import { ReplicaSet } from './Replication.js';
+
+const TICK_MS = 1000 / 60; // Host simulation tick
+
+/**
+ * Snapshot state a fraction `t` of the way from `from` to `to`: positions
+ * and angles blend, everything else is taken from `to`
+ */
+export function interpolateState(from, to, t) {
+    const lerpById = (fromList, toList, lerpEntity) => {
+        if (!toList) return toList;
+        const byId = new Map();
+        for (const e of fromList || []) byId.set(e.id, e);
+        return toList.map(e => {
+            const prev = byId.get(e.id);
+            return prev ? lerpEntity(prev, e) : e;
+        });
+    };
+
+    return {
+        ...to,
+        players: lerpById(from.players, to.players, (a, b) => {
+            // Respawns and teleports snap instead of sliding across the map
+            if (a.al !== b.al || Math.abs(b.x - a.x) + Math.abs(b.y - a.y) > 200) return b;
+            return {
+                ...b,
+                x: Physics.lerp(a.x, b.x, t),
+                y: Physics.lerp(a.y, b.y, t),
+                sa: Physics.lerpAngle(a.sa, b.sa, t),
+                aa: Physics.lerpAngle(a.aa || 0, b.aa || 0, t)
+            };
+        }),
+        projectiles: lerpById(from.projectiles, to.projectiles, (a, b) => ({
+            ...b,
+            x: Physics.lerp(a.x, b.x, t),
+            y: Physics.lerp(a.y, b.y, t)
+        })),
+        meteorites: lerpById(from.meteorites, to.meteorites, (a, b) => ({
+            ...b,
+            x: Physics.lerp(a.x, b.x, t),
+            y: Physics.lerp(a.y, b.y, t),
+            rot: Physics.lerpAngle(a.rot, b.rot, t)
+        }))
+    };
+}
 
 export class ClientState {
     constructor(networkManager) {
@@ -10,42 +58,70 @@ export class ClientState {
         this.sendRate = 1 / 30; // Send input 30 times/sec
         this.sendTimer = 0;
 
-        // State interpolation buffer
-        this._stateBuffer = [];   // [{state, timestamp}, ...]
-        this._interpDelay = 100;  // ms delay for interpolation
+        // Sequenced input stream: one entry per tick, batched into each packet
+        this.outgoingInputs = [];    // [{ seq, tick, input }] not yet acknowledged by the host
+        this.lastSentSeq = 0;
+        this.inputRedundancy = 6;    // Already-sent inputs repeated in every packet
+        this.maxInputsPerPacket = 30;
+        this.lastInputAck = 0;
+
+        // State interpolation buffer, timed on the host's clock
+        this._stateBuffer = [];      // [{ state, hostTime }] oldest first
+        this._bufferKeep = 1000;     // ms of history kept
+        this.clock = new ClockSync();
+        this.interpDelay = 100;      // ms behind the host clock we render (adapts to jitter)
+        this.minInterpDelay = 40;
+        this.maxInterpDelay = 300;
+        this.jitter = 0;             // ms, smoothed variation in snapshot transit time
+        this.snapshotInterval = TICK_MS; // ms between snapshots, measured
+        this.maxExtrapolation = 120; // ms we may run past the newest snapshot before freezing
+        this._lastTransit = null;
+
+        // Decoded snapshots kept as delta baselines
+        this._snapshots = new Map(); // tick -> snapshot
+        this._snapshotKeep = 128;
+        this.lastSnapshotTick = 0;   // Acknowledged to the host with every input
+        this.viewTick = 0;           // Host tick currently on screen (fractional while interpolating)
+        this.replicas = new ReplicaSet(); // Persistent projectiles, meteorites and pickups
+
+        // Client-side prediction of the local player
+        this.predicted = null;       // Private Player copy simulated ahead of the host
+        this.predictionWorld = null; // { planets, gravity }
+        this.pendingInputs = [];     // [{ seq, input, dt }] not yet applied by the host
+        this.inputSeq = 0;
+        this.correction = { x: 0, y: 0 }; // Visual offset left over from the last reconciliation
+        this.correctionDecay = 12;   // Per second; higher = faster blend
+        this.snapDistance = 150;     // Corrections larger than this teleport instead
 
-        this.onStateReceived = null;
         this.onEventReceived = null;
         this.onLobbyUpdate = null;
+        this.onChatReceived = null;
         this.onGameStart = null;
         this.onGameEnd = null;
         this.ping = 0;
+        this.snapshotsReceived = 0;  // Lifetime count, graphed by the diagnostics overlay
+        this.links = new Map();      // playerId -> { rtt, jitter, q } as the host sees each peer
+
+        this.session = null; // { token, playerId } from the host, used to rejoin after a drop
+        this.onSession = null;
     }
 
     /**
      * Set up state receiving from host
      */
     init() {
-        this.net.onData = (peerId, data) => {
+        this._onData = (peerId, data) => {
+            if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+                this._receiveSnapshot(data);
+                return;
+            }
             switch (data.type) {
                 case 'state':
-                    // Push into interpolation buffer
-                    this._stateBuffer.push({
-                        state: data.state,
-                        timestamp: performance.now()
-                    });
-                    // Keep only last 10 states
-                    if (this._stateBuffer.length > 10) {
-                        this._stateBuffer.shift();
-                    }
-                    // Still call onStateReceived for immediate updates
-                    // but use interpolated data
-                    if (this.onStateReceived) {
-                        const interpolated = this.getInterpolatedState();
-                        if (interpolated) {
-                            this.onStateReceived(interpolated);
-                        }
-                    }
+                    data.state.tick = data.tick || 0;
+                    data.state.hostTime = data.hostTime;
+                    this.snapshotsReceived++;
+                    this._reconcile(data.state, data.inputAck || 0);
+                    this._pushState(data.state);
                     break;
                 case 'event':
                     if (this.onEventReceived) this.onEventReceived(data.event);
@@ -53,86 +129,388 @@ export class ClientState {
                 case 'lobby':
                     if (this.onLobbyUpdate) this.onLobbyUpdate(data.data);
                     break;
+                case 'chat':
+                    if (this.onChatReceived) this.onChatReceived(data);
+                    break;
+                case 'replicate':
+                    if (data.full) {
+                        this.replicas.resync(data.spawn, data.tick);
+                    } else {
+                        this.replicas.spawn(data.spawn, data.tick);
+                        this.replicas.despawn(data.despawn, data.tick);
+                    }
+                    break;
                 case 'start':
+                    this._resetSnapshots();
+                    this.replicas.reset();
                     if (this.onGameStart) this.onGameStart(data.data);
                     break;
                 case 'end':
                     if (this.onGameEnd) this.onGameEnd(data.rankings);
                     break;
+                case 'session':
+                    this.session = { token: data.token, playerId: data.playerId };
+                    if (this.onSession) this.onSession(this.session);
+                    break;
+                case 'links':
+                    this.links = new Map(data.links.map(link => [link.id, link]));
+                    break;
                 case 'pong':
+                    if (data.h !== undefined) this.clock.addSample(data.t, data.h, performance.now());
                     this.ping = performance.now() - data.t;
                     break;
             }
         };
+        this.net.onData = this._onData;
+
+        this._startPinging();
+    }
+
+    /**
+     * Tell the host whether we're ready to start
+     */
+    sendReady(ready) {
+        this.net.sendToHost({ type: 'ready', ready });
+    }
+
+    /**
+     * Say something ({ text } or { emote }); it comes back once the host relays it
+     */
+    sendChat(message) {
+        this.net.sendToHost({ type: 'chat', ...message });
+    }
+
+    /**
+     * Ask the host to use our new name/colour/cosmetic
+     */
+    sendProfile(profile) {
+        this.net.sendToHost({ type: 'profile', profile });
+    }
+
+    /**
+     * Ping quickly at first so the clock estimate settles, then every 2 s
+     */
+    _startPinging() {
+        clearTimeout(this._pingTimer);
+        let burst = 6;
+        const ping = () => {
+            // Our own measurements ride along so the host can grade our link
+            this.net.sendToHost({
+                type: 'ping',
+                t: performance.now(),
+                rtt: Math.round(this.ping),
+                j: Math.round(this.jitter)
+            });
+            this._pingTimer = setTimeout(ping, burst-- > 0 ? 250 : 2000);
+        };
+        ping();
+    }
+
+    /**
+     * Stop pinging and release the network callbacks
+     */
+    destroy() {
+        clearTimeout(this._pingTimer);
+        this.stopPrediction();
+        // Unless a HostState has taken them over already
+        if (this.net.onData === this._onData) this.net.onData = null;
+    }
+
+    /**
+     * Connected to a different host (migration): its snapshots share no
+     * baselines with ours, and unacknowledged inputs must be sent again
+     */
+    resetConnection() {
+        this._resetSnapshots();
+        this.lastSentSeq = this.lastInputAck;
+        this.sendTimer = 0;
+        this.clock.reset();
+        this._startPinging();
+    }
 
-        // Periodic ping
-        setInterval(() => {
-            this.net.sendToHost({ type: 'ping', t: performance.now() });
-        }, 2000);
+    /**
+     * Newest authoritative state received (not interpolated)
+     */
+    latestState() {
+        const latest = this._stateBuffer[this._stateBuffer.length - 1];
+        return latest ? latest.state : null;
     }
 
     /**
-     * Send local input to host
+     * How far (ms) the buffered snapshots reach past what is on screen.
+     * Near zero means we're about to extrapolate.
      */
-    sendInput(dt, input) {
+    bufferDepth() {
+        const newest = this._stateBuffer[this._stateBuffer.length - 1];
+        if (!newest) return 0;
+        return Math.max(0, newest.hostTime - (this.clock.hostNow() - this.interpDelay));
+    }
+
+    /**
+     * Decode a binary delta snapshot against the baseline it names
+     */
+    _receiveSnapshot(data) {
+        const bytes = data instanceof ArrayBuffer
+            ? new Uint8Array(data)
+            : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        let snapshot;
+        try {
+            const header = readSnapshotHeader(bytes);
+            if (!header || header.tick <= this.lastSnapshotTick) return;
+            snapshot = decodeSnapshot(bytes, this._snapshots.get(header.baseTick));
+        } catch (err) {
+            // Truncated, or its baseline is gone: stop acknowledging so the
+            // host falls back to a full snapshot
+            console.warn('[NET] Dropped snapshot:', err.message);
+            this.lastSnapshotTick = 0;
+            return;
+        }
+
+        this._snapshots.set(snapshot.tick, snapshot);
+        for (const tick of this._snapshots.keys()) {
+            if (tick > snapshot.tick - this._snapshotKeep) break;
+            this._snapshots.delete(tick);
+        }
+        this.lastSnapshotTick = snapshot.tick;
+        this.snapshotsReceived++;
+        this._reconcile(snapshot, snapshot.inputAck);
+        this._pushState(snapshot);
+    }
+
+    _resetSnapshots() {
+        this._snapshots.clear();
+        this._stateBuffer = [];
+        this.lastSnapshotTick = 0;
+        this.viewTick = 0;
+        this._lastTransit = null;
+    }
+
+    _pushState(state) {
+        const now = performance.now();
+        if (state.hostTime === undefined) state.hostTime = this.clock.hostNow(now);
+        this.clock.seed(state.hostTime, now);
+
+        // Jitter: how much the one-way transit time varies (RFC 3550 style)
+        const transit = this.clock.hostNow(now) - state.hostTime;
+        if (this._lastTransit !== null) {
+            this.jitter += (Math.abs(transit - this._lastTransit) - this.jitter) / 16;
+        }
+        this._lastTransit = transit;
+
+        const newest = this._stateBuffer[this._stateBuffer.length - 1];
+        if (newest) {
+            const gap = state.hostTime - newest.hostTime;
+            if (gap > 0) this.snapshotInterval += (gap - this.snapshotInterval) * 0.1;
+        }
+
+        // Enough delay to always have a snapshot on each side of the render time
+        const target = Math.max(this.minInterpDelay, Math.min(this.maxInterpDelay,
+            this.snapshotInterval * 1.5 + this.jitter * 3));
+        this.interpDelay += (target - this.interpDelay) * 0.05;
+
+        this._stateBuffer.push({ state, hostTime: state.hostTime });
+        while (this._stateBuffer.length > 2 &&
+            this._stateBuffer[0].hostTime < state.hostTime - this._bufferKeep) {
+            this._stateBuffer.shift();
+        }
+    }
+
+    // ---- Prediction ----
+
+    /**
+     * Begin predicting `player` (the local astronaut) using the match's planets
+     * and the same GravitySystem the host simulates with
+     */
+    startPrediction(player, planets, gravity) {
+        this.predicted = Player.fromSerialized(player.serialize());
+        this.predictionWorld = { planets, gravity };
+        this.pendingInputs = [];
+        this.correction.x = 0;
+        this.correction.y = 0;
+    }
+
+    stopPrediction() {
+        this.predicted = null;
+        this.predictionWorld = null;
+        this.pendingInputs = [];
+    }
+
+    /**
+     * Record one tick of local input (world coordinates) and advance the
+     * predicted player with it
+     */
+    predict(dt, input) {
+        this.inputSeq++;
+        this._recordInput(input);
+        if (!this.predicted) return;
+
+        const step = {
+            seq: this.inputSeq,
+            input: { moveX: input.moveX || 0, jump: !!input.jump },
+            dt
+        };
+        this.pendingInputs.push(step);
+        if (this.pendingInputs.length > 120) this.pendingInputs.shift();
+        this._simulate(step);
+
+        // Blend away the error left by the last correction
+        const decay = Math.exp(-this.correctionDecay * dt);
+        this.correction.x *= decay;
+        this.correction.y *= decay;
+    }
+
+    /**
+     * Same order as the host tick: input, then gravity, then timers
+     */
+    _simulate(step) {
+        const player = this.predicted;
+        if (!player.alive) return;
+        const { planets, gravity } = this.predictionWorld;
+        gravity.applyInput(player, step.input, planets);
+        gravity.update([player], planets, step.dt);
+        player.updateTimers(step.dt);
+    }
+
+    /**
+     * Rewind the predicted player to the host's authoritative state and replay
+     * every input the host has not applied yet
+     */
+    _reconcile(state, inputAck) {
+        if (inputAck > this.lastInputAck) this.lastInputAck = inputAck;
+        if (!this.predicted || !state.players) return;
+        const auth = state.players.find(p => p.id === this.predicted.id);
+        if (!auth) return;
+
+        const prevX = this.predicted.x + this.correction.x;
+        const prevY = this.predicted.y + this.correction.y;
+
+        this.predicted.applyState(auth);
+        this.pendingInputs = this.pendingInputs.filter(step => step.seq > inputAck);
+        for (const step of this.pendingInputs) {
+            this._simulate(step);
+        }
+
+        // Keep what's on screen where it was and let predict() blend it out
+        const dx = prevX - this.predicted.x;
+        const dy = prevY - this.predicted.y;
+        if (!auth.al || dx * dx + dy * dy > this.snapDistance * this.snapDistance) {
+            this.correction.x = 0;
+            this.correction.y = 0;
+        } else {
+            this.correction.x = dx;
+            this.correction.y = dy;
+        }
+    }
+
+    /**
+     * Copy the predicted movement state onto the displayed local player
+     */
+    applyPrediction(player) {
+        const pred = this.predicted;
+        if (!pred || !pred.alive || !player.alive) return;
+        player.x = pred.x + this.correction.x;
+        player.y = pred.y + this.correction.y;
+        player.vx = pred.vx;
+        player.vy = pred.vy;
+        player.isGrounded = pred.isGrounded;
+        player.surfaceAngle = pred.surfaceAngle;
+        player.moveX = pred.moveX;
+        player.facingLeft = pred.facingLeft;
+    }
+
+    /**
+     * Queue this tick's input for the host. `tick` is the newest host tick
+     * the client had seen when the input was sampled; `input.view` is the
+     * tick it was displaying, used by the host to rewind hit detection.
+     */
+    _recordInput(input) {
+        const round = (t) => (t ? { x: Math.round(t.x), y: Math.round(t.y) } : null);
+        this.outgoingInputs.push({
+            seq: this.inputSeq,
+            tick: this.lastSnapshotTick,
+            input: {
+                moveX: Math.round((input.moveX || 0) * 100) / 100,
+                jump: !!input.jump,
+                aimTarget: round(input.aimTarget),
+                shootTarget: round(input.shootTarget),
+                view: Math.round(this.viewTick * 100) / 100
+            }
+        });
+    }
+
+    /**
+     * Send every input the host hasn't seen yet, plus the last few already
+     * sent so a single lost packet doesn't lose a tap
+     */
+    sendInput(dt) {
         this.sendTimer -= dt;
         if (this.sendTimer > 0) return;
         this.sendTimer = this.sendRate;
 
+        // The host has applied these; it never needs them again
+        while (this.outgoingInputs.length > 0 && this.outgoingInputs[0].seq <= this.lastInputAck) {
+            this.outgoingInputs.shift();
+        }
+        // Host stopped acknowledging: don't let the backlog grow without bound
+        if (this.outgoingInputs.length > this.maxInputsPerPacket) {
+            this.outgoingInputs.splice(0, this.outgoingInputs.length - this.maxInputsPerPacket);
+        }
+
+        const firstSeq = Math.max(this.lastInputAck, this.lastSentSeq - this.inputRedundancy);
+        const inputs = this.outgoingInputs.filter(entry => entry.seq > firstSeq);
+        if (inputs.length === 0) return;
+
+        this.lastSentSeq = inputs[inputs.length - 1].seq;
         this.net.sendToHost({
             type: 'input',
-            input: input
+            inputs,
+            ack: this.lastSnapshotTick
         });
     }
 
     /**
-     * Get interpolated state between the two most recent snapshots
+     * State to display now: interpolated between the two snapshots around
+     * (host clock - interpDelay), or extrapolated a little past the newest
+     * one when the next snapshot is late
      */
     getInterpolatedState() {
-        if (this._stateBuffer.length < 2) {
-            return this._stateBuffer.length > 0 ? this._stateBuffer[this._stateBuffer.length - 1].state : null;
-        }
+        const buffer = this._stateBuffer;
+        if (buffer.length === 0) return null;
 
-        const now = performance.now();
-        const renderTime = now - this._interpDelay;
-
-        // Find two states to interpolate between
-        let from = null;
-        let to = null;
-
-        for (let i = 0; i < this._stateBuffer.length - 1; i++) {
-            if (this._stateBuffer[i].timestamp <= renderTime &&
-                this._stateBuffer[i + 1].timestamp >= renderTime) {
-                from = this._stateBuffer[i];
-                to = this._stateBuffer[i + 1];
-                break;
-            }
-        }
+        const renderTime = this.clock.hostNow() - this.interpDelay;
+        const newest = buffer[buffer.length - 1];
 
-        // If we don't have a bracketing pair, just use the latest
-        if (!from || !to) {
-            return this._stateBuffer[this._stateBuffer.length - 1].state;
+        if (renderTime >= newest.hostTime) {
+            const ahead = Math.min(renderTime - newest.hostTime, this.maxExtrapolation);
+            this.viewTick = (newest.state.tick || 0) + ahead / TICK_MS;
+            return ahead > 0 ? this._extrapolate(newest.state, ahead / 1000) : newest.state;
         }
-
-        // Calculate interpolation factor
-        const range = to.timestamp - from.timestamp;
-        const t = range > 0 ? (renderTime - from.timestamp) / range : 0;
-        const clampedT = Math.max(0, Math.min(1, t));
-
-        // Interpolate player positions
-        const interpolated = JSON.parse(JSON.stringify(to.state));
-
-        if (interpolated.players && from.state.players) {
-            for (let i = 0; i < interpolated.players.length; i++) {
-                const fp = from.state.players.find(p => p.id === interpolated.players[i].id);
-                if (fp) {
-                    interpolated.players[i].x = Physics.lerp(fp.x, interpolated.players[i].x, clampedT);
-                    interpolated.players[i].y = Physics.lerp(fp.y, interpolated.players[i].y, clampedT);
-                    interpolated.players[i].sa = Physics.lerpAngle(fp.sa, interpolated.players[i].sa, clampedT);
-                }
-            }
+        if (renderTime <= buffer[0].hostTime) {
+            this.viewTick = buffer[0].state.tick || 0;
+            return buffer[0].state;
         }
 
-        return interpolated;
+        let i = buffer.length - 2;
+        while (i > 0 && buffer[i].hostTime > renderTime) i--;
+        const from = buffer[i];
+        const to = buffer[i + 1];
+        const range = to.hostTime - from.hostTime;
+        const t = range > 0 ? (renderTime - from.hostTime) / range : 1;
+
+        this.viewTick = Physics.lerp(from.state.tick || 0, to.state.tick || 0, t);
+        return interpolateState(from.state, to.state, t);
+    }
+
+    /**
+     * Carry everything along its last known velocity for `seconds`
+     */
+    _extrapolate(state, seconds) {
+        const move = (e) => ({ ...e, x: e.x + e.vx * seconds, y: e.y + e.vy * seconds });
+        return {
+            ...state,
+            players: state.players && state.players.map(p => (p.al && !p.gr ? move(p) : p)),
+            projectiles: state.projectiles && state.projectiles.map(move),
+            meteorites: state.meteorites && state.meteorites.map(move)
+        };
     }
 }
@@ -0,0 +1,66 @@
+// =============================================
+// ClockSync.js — NTP-style estimate of the host's clock (client side)
+// =============================================
+
+/**
+ * Each ping/pong gives one sample: the client's send time t0, the host's
+ * clock when it answered, and the client's receive time t1. Assuming the
+ * trip is symmetric, hostClock ≈ local + (hostTime + rtt / 2 - t1).
+ * Like NTP we trust the samples with the lowest round trip most, since
+ * queueing delay is what makes a trip asymmetric.
+ */
+export class ClockSync {
+    constructor() {
+        this.samples = [];       // [{ offset, rtt }]
+        this.maxSamples = 8;
+        this.offset = 0;         // hostClock - localClock (ms)
+        this.rtt = 0;            // Latest round trip (ms)
+        this.synced = false;
+        this.seeded = false;
+    }
+
+    /**
+     * Add a ping/pong round trip (all times in ms)
+     */
+    addSample(t0, hostTime, t1) {
+        const rtt = Math.max(0, t1 - t0);
+        this.rtt = rtt;
+        this.samples.push({ offset: hostTime + rtt / 2 - t1, rtt });
+        if (this.samples.length > this.maxSamples) this.samples.shift();
+
+        // Average the better half of the samples
+        const best = [...this.samples].sort((a, b) => a.rtt - b.rtt)
+            .slice(0, Math.ceil(this.samples.length / 2));
+        const offset = best.reduce((sum, s) => sum + s.offset, 0) / best.length;
+
+        // Small corrections are eased in so the render clock doesn't jump
+        this.offset = this.synced && Math.abs(offset - this.offset) < 50
+            ? this.offset + (offset - this.offset) * 0.25
+            : offset;
+        this.synced = true;
+    }
+
+    /**
+     * Rough offset before the first pong: assume the snapshot took no time
+     */
+    seed(hostTime, localTime) {
+        if (this.synced || this.seeded) return;
+        this.offset = hostTime - localTime;
+        this.seeded = true;
+    }
+
+    /**
+     * Current time on the host's clock
+     */
+    hostNow(localNow = performance.now()) {
+        return localNow + this.offset;
+    }
+
+    reset() {
+        this.samples = [];
+        this.offset = 0;
+        this.rtt = 0;
+        this.synced = false;
+        this.seeded = false;
+    }
+}
@@ -2,12 +2,37 @@
 // HostState.js — Host game state management
 // =============================================
 
+import { encodeSnapshot } from './SnapshotCodec.js';
+import { InputQueue } from './InputQueue.js';
+import { InputGuard } from './InputGuard.js';
+import { ReplicationRegistry } from './Replication.js';
+import { linkQuality } from './NetStats.js';
+
 export class HostState {
-    constructor(networkManager) {
+    constructor(networkManager, options = {}) {
         this.net = networkManager;
         this.broadcastRate = 1 / 60; // 60 Hz state broadcast for maximum fluidity
         this.broadcastTimer = 0;
-        this.inputBuffer = new Map(); // peerId -> latest input
+        this.inputQueues = new Map(); // peerId -> InputQueue
+        this.guards = new Map();      // peerId -> InputGuard (rate limits, clamping, cheat flags)
+        this.onFlag = null;           // (peerId, reason, strikes)
+        this.onReady = null;          // (peerId, ready) — lobby ready toggle
+        this.onProfile = null;        // (peerId, profile) — lobby name/colour/cosmetic change
+        this.onChat = null;           // (peerId, { text } | { emote })
+
+        // Snapshots: 'delta' = binary deltas per client, 'json' = legacy full JSON (?snap=json)
+        this.snapshotMode = options.snapshotMode === 'json' ? 'json' : 'delta';
+        this.tick = 0;
+        this.history = new Map();     // tick -> sent snapshot
+        this.historySize = 64;        // ~1 s of baselines at 60 Hz
+        this.clientAcks = new Map();  // peerId -> last snapshot tick the client confirmed
+
+        // Projectiles, meteorites and pickups: spawned/despawned explicitly
+        this.replication = new ReplicationRegistry();
+
+        // Link quality per peer, from what clients report in their pings
+        this.links = new Map();       // peerId -> { rtt, jitter, lastHeard }
+        this.snapshotsSent = 0;       // Lifetime count of state broadcasts
     }
 
     /**
@@ -15,32 +40,199 @@ export class HostState {
      */
     init() {
         this.net.onData = (peerId, data) => {
+            const link = this._linkFor(peerId);
+            link.lastHeard = performance.now();
+            const guard = this._guardFor(peerId);
+            if (!guard.allowMessage()) return;
+
             if (data.type === 'input') {
-                this.inputBuffer.set(peerId, data.input);
+                this._queueFor(peerId).push(data.inputs.map(entry => ({
+                    seq: entry.seq,
+                    tick: entry.tick,
+                    input: guard.sanitize(entry.input)
+                })));
+                if (data.ack !== undefined) this.acknowledge(peerId, data.ack);
             } else if (data.type === 'ping') {
-                this.net.send(peerId, { type: 'pong', t: data.t });
+                // Our clock in the reply lets clients estimate the offset (ClockSync)
+                this.net.send(peerId, { type: 'pong', t: data.t, h: performance.now() });
+                if (Number.isFinite(data.rtt)) link.rtt = data.rtt;
+                if (Number.isFinite(data.j)) link.jitter = data.j;
+            } else if (data.type === 'ready') {
+                if (this.onReady) this.onReady(peerId, data.ready);
+            } else if (data.type === 'profile') {
+                if (this.onProfile) this.onProfile(peerId, data.profile);
+            } else if (data.type === 'chat') {
+                if (this.onChat) this.onChat(peerId, data);
             }
         };
     }
 
+    _queueFor(peerId) {
+        let queue = this.inputQueues.get(peerId);
+        if (!queue) {
+            queue = new InputQueue();
+            this.inputQueues.set(peerId, queue);
+        }
+        return queue;
+    }
+
+    _guardFor(peerId) {
+        let guard = this.guards.get(peerId);
+        if (!guard) {
+            guard = new InputGuard();
+            guard.onFlag = (reason, strikes) => {
+                if (this.onFlag) this.onFlag(peerId, reason, strikes);
+            };
+            this.guards.set(peerId, guard);
+        }
+        return guard;
+    }
+
+    _linkFor(peerId) {
+        let link = this.links.get(peerId);
+        if (!link) {
+            link = { rtt: 0, jitter: 0, lastHeard: performance.now() };
+            this.links.set(peerId, link);
+        }
+        return link;
+    }
+
+    /**
+     * A peer's round trip, jitter and grade ('good' | 'fair' | 'poor' | 'lost')
+     */
+    getLink(peerId) {
+        const link = this.links.get(peerId);
+        if (!link) return null;
+        const silentMs = performance.now() - link.lastHeard;
+        return { rtt: link.rtt, jitter: link.jitter, q: linkQuality({ ...link, silentMs }) };
+    }
+
+    /**
+     * Share every player's link grade so all HUDs can show it.
+     * `links` is [{ id: playerId, rtt, jitter, q }].
+     */
+    broadcastLinks(links) {
+        this.net.broadcast({
+            type: 'links',
+            links
+        });
+    }
+
+    /**
+     * Get the input a peer's player applies this tick. Call exactly once per
+     * simulation tick per peer: every call consumes one input from the stream.
+     * Passing the `player` lets the guard check the input against it.
+     */
+    getInput(peerId, player = null, dt = 1 / 60) {
+        const queue = this.inputQueues.get(peerId);
+        if (!queue) return null;
+        const input = queue.next();
+        // Repeats while starved aren't the client's doing
+        if (input && player && queue.starvedTicks === 0) {
+            this._guardFor(peerId).observe(input, player, dt);
+        }
+        return input;
+    }
+
+    /**
+     * Sequence number of the last input applied for a peer (echoed in snapshots)
+     */
+    getInputAck(peerId) {
+        const queue = this.inputQueues.get(peerId);
+        return queue ? queue.lastAppliedSeq : 0;
+    }
+
+    /**
+     * Record the newest snapshot a client has received (its future deltas build on it).
+     * An ack of 0 means the client lost its baselines and needs a full snapshot.
+     */
+    acknowledge(peerId, tick) {
+        if (tick === 0) {
+            this.clientAcks.delete(peerId);
+        } else if (tick > (this.clientAcks.get(peerId) || 0) && tick <= this.tick) {
+            this.clientAcks.set(peerId, tick);
+        }
+    }
+
     /**
-     * Get buffered input for a peer
+     * Forget per-client state for a peer that left
      */
-    getInput(peerId) {
-        return this.inputBuffer.get(peerId) || null;
+    removePeer(peerId) {
+        this.inputQueues.delete(peerId);
+        this.guards.delete(peerId);
+        this.clientAcks.delete(peerId);
+        this.links.delete(peerId);
     }
 
     /**
-     * Broadcast game state to all clients
+     * Broadcast game state to all clients. Called once per simulation tick.
+     * `world` holds the replicated entity lists; their spawns and despawns
+     * go out first so clients know an entity before its first update.
      */
-    broadcastState(dt, gameState) {
+    broadcastState(dt, gameState, world = null) {
+        this.tick++;
+        if (world) this._broadcastReplication(world);
         this.broadcastTimer -= dt;
         if (this.broadcastTimer > 0) return;
         this.broadcastTimer = this.broadcastRate;
+        this.snapshotsSent++;
 
+        const hostTime = performance.now();
+        if (this.snapshotMode === 'json') {
+            for (const peerId of this.net.getConnectedPeers()) {
+                this.net.send(peerId, {
+                    type: 'state',
+                    state: gameState,
+                    tick: this.tick,
+                    hostTime,
+                    inputAck: this.getInputAck(peerId)
+                });
+            }
+            return;
+        }
+
+        const snapshot = { ...gameState, tick: this.tick, hostTime };
+        this.history.set(this.tick, snapshot);
+        for (const tick of this.history.keys()) {
+            if (tick > this.tick - this.historySize) break;
+            this.history.delete(tick);
+        }
+
+        // Clients with the same baseline and input ack share one encoded packet
+        const packets = new Map(); // 'baseTick:inputAck' -> ArrayBuffer
+        for (const peerId of this.net.getConnectedPeers()) {
+            const baseTick = this.clientAcks.get(peerId) || 0;
+            const baseline = this.history.get(baseTick) || null;
+            const inputAck = this.getInputAck(peerId);
+            const key = `${baseline ? baseTick : 0}:${inputAck}`;
+            if (!packets.has(key)) {
+                packets.set(key, encodeSnapshot(snapshot, baseline, inputAck));
+            }
+            this.net.send(peerId, packets.get(key));
+        }
+    }
+
+    _broadcastReplication(world) {
+        const { spawn, despawn } = this.replication.diff(world);
+        if (spawn.length === 0 && despawn.length === 0) return;
         this.net.broadcast({
-            type: 'state',
-            state: gameState
+            type: 'replicate',
+            tick: this.tick,
+            spawn,
+            despawn
+        });
+    }
+
+    /**
+     * Send one peer every live entity (late joiners, reconnects)
+     */
+    sendReplicaSet(peerId, world) {
+        this.net.send(peerId, {
+            type: 'replicate',
+            tick: this.tick,
+            full: true,
+            spawn: this.replication.all(world),
+            despawn: []
         });
     }
 
@@ -54,6 +246,17 @@ export class HostState {
         });
     }
 
+    /**
+     * Hand a client the token it presents to reclaim its slot after a drop
+     */
+    sendSession(peerId, session) {
+        this.net.send(peerId, {
+            type: 'session',
+            token: session.token,
+            playerId: session.playerId
+        });
+    }
+
     /**
      * Send lobby update
      */
@@ -64,16 +267,47 @@ export class HostState {
         });
     }
 
+    /**
+     * Relay a chat message (already vetted by the host) to everyone
+     */
+    broadcastChat(message) {
+        this.net.broadcast({ type: 'chat', ...message });
+    }
+
+    /**
+     * A line from the host to one peer only (e.g. "you are muted")
+     */
+    sendChatNotice(peerId, text) {
+        this.net.send(peerId, { type: 'chat', from: '', name: '', text, system: true });
+    }
+
     /**
      * Send game start signal
      */
     broadcastStart(startData) {
+        // New match, new baselines
+        this.history.clear();
+        this.clientAcks.clear();
+        this.replication.reset();
+        for (const queue of this.inputQueues.values()) queue.reset();
+
         this.net.broadcast({
             type: 'start',
             data: startData
         });
     }
 
+    /**
+     * Send the running match to one late arrival (spectator)
+     */
+    sendStart(peerId, startData) {
+        this.clientAcks.delete(peerId);
+        this.net.send(peerId, {
+            type: 'start',
+            data: startData
+        });
+    }
+
     /**
      * Send match end signal
      */
@@ -0,0 +1,128 @@
+// =============================================
+// InputGuard.js — Per-client input sanity checks (host side)
+// =============================================
+
+const WORLD_LIMIT = 10000; // Targets beyond this are nonsense, not aim
+
+/**
+ * Sits between a client's messages and the simulation:
+ *   - rate-limits messages (token bucket) so a flood can't stall the host
+ *   - clamps every input field to what the real controls can produce
+ *   - watches the applied inputs for patterns no human produces
+ * Each pattern spotted is a strike; strikes are forgiven slowly, and enough
+ * of them in a short time is grounds for a kick (the host decides).
+ */
+export class InputGuard {
+    constructor() {
+        // Messages: inputs go out at 30 Hz, pings every 2 s
+        this.messageRate = 90;       // Sustained messages per second
+        this.messageBurst = 120;
+        this._tokens = this.messageBurst;
+        this._lastRefill = performance.now();
+        this._droppedWindow = [];    // Times (ms) of rate-limited messages
+
+        // Patterns, over the last second of applied inputs (60 ticks)
+        this.maxJumpPresses = 15;    // Fastest thumbs manage ~10 taps/s
+        this.maxAimSnaps = 10;       // Aim turns of more than snapAngle in a single tick
+        this.snapAngle = Math.PI * 0.55;
+        this._jumpTicks = [];
+        this._snapTicks = [];
+        this._tick = 0;
+        this._lastJump = false;
+        this._lastAimAngle = null;
+
+        // Strikes
+        this.strikes = 0;
+        this.strikeDecay = 30;       // Seconds until one strike is forgiven
+        this._strikeTimer = 0;
+        this._cooldowns = {};        // reason -> time (ms) it may be flagged again
+        this.onFlag = null;          // (reason, strikes)
+    }
+
+    /**
+     * Whether to accept another message from this peer right now
+     */
+    allowMessage(now = performance.now()) {
+        this._tokens = Math.min(
+            this.messageBurst,
+            this._tokens + (now - this._lastRefill) / 1000 * this.messageRate
+        );
+        this._lastRefill = now;
+        if (this._tokens >= 1) {
+            this._tokens--;
+            return true;
+        }
+
+        this._droppedWindow.push(now);
+        while (this._droppedWindow[0] < now - 1000) this._droppedWindow.shift();
+        if (this._droppedWindow.length > 30) this._flag('flooding');
+        return false;
+    }
+
+    /**
+     * A copy of `input` holding only known fields, each within range
+     */
+    sanitize(input) {
+        const target = (t) => {
+            if (!t || !Number.isFinite(t.x) || !Number.isFinite(t.y)) return null;
+            return {
+                x: Math.max(-WORLD_LIMIT, Math.min(WORLD_LIMIT, t.x)),
+                y: Math.max(-WORLD_LIMIT, Math.min(WORLD_LIMIT, t.y))
+            };
+        };
+        return {
+            moveX: Number.isFinite(input.moveX) ? Math.max(-1, Math.min(1, input.moveX)) : 0,
+            jump: input.jump === true,
+            aimTarget: target(input.aimTarget),
+            shootTarget: target(input.shootTarget),
+            view: Number.isFinite(input.view) && input.view > 0 ? input.view : 0
+        };
+    }
+
+    /**
+     * Look at the input applied to `player` this tick. Call once per tick.
+     */
+    observe(input, player, dt) {
+        this._tick++;
+        const tick = this._tick;
+
+        // Strikes wear off
+        if (this.strikes > 0) {
+            this._strikeTimer += dt;
+            if (this._strikeTimer >= this.strikeDecay) {
+                this._strikeTimer = 0;
+                this.strikes--;
+            }
+        }
+
+        // Jump presses (held jump is fine; mashing faster than a thumb is not)
+        if (input.jump && !this._lastJump) this._jumpTicks.push(tick);
+        this._lastJump = input.jump;
+        while (this._jumpTicks[0] <= tick - 60) this._jumpTicks.shift();
+        if (this._jumpTicks.length > this.maxJumpPresses) this._flag('jump spam');
+
+        // Aim: one big snap is a flick, ten a second is a bot switching targets
+        const aim = input.shootTarget || input.aimTarget;
+        if (aim && player) {
+            const angle = Math.atan2(aim.y - player.y, aim.x - player.x);
+            if (this._lastAimAngle !== null) {
+                let turn = Math.abs(angle - this._lastAimAngle) % (Math.PI * 2);
+                if (turn > Math.PI) turn = Math.PI * 2 - turn;
+                if (turn > this.snapAngle) this._snapTicks.push(tick);
+            }
+            this._lastAimAngle = angle;
+        }
+        while (this._snapTicks[0] <= tick - 60) this._snapTicks.shift();
+        if (this._snapTicks.length > this.maxAimSnaps) this._flag('aim snapping');
+    }
+
+    _flag(reason) {
+        // Once per reason every few seconds, or one burst would be several strikes
+        const now = performance.now();
+        if ((this._cooldowns[reason] || 0) > now) return;
+        this._cooldowns[reason] = now + 5000;
+        this.strikes++;
+        this._strikeTimer = 0;
+        if (this.onFlag) this.onFlag(reason, this.strikes);
+    }
+}
@@ -0,0 +1,67 @@
+// =============================================
+// InputQueue.js — Per-client ordered input stream (host side)
+// =============================================
+
+/**
+ * Clients sample one input per simulation tick and send them in batches
+ * (with a few already-sent inputs repeated for redundancy). The host
+ * consumes exactly one per tick, in sequence order, so short taps are
+ * neither dropped nor applied twice.
+ */
+export class InputQueue {
+    constructor(maxQueued = 6) {
+        this.queue = [];            // [{ seq, tick, input }] sorted by seq
+        this.maxQueued = maxQueued; // Beyond this we're lagging: skip ahead
+        this.lastReceivedSeq = 0;
+        this.lastAppliedSeq = 0;    // Acknowledged back in every snapshot
+        this.lastInput = null;
+        this.starvedTicks = 0;      // Ticks where nothing new had arrived
+    }
+
+    /**
+     * Add a batch of { seq, tick, input } entries, ignoring duplicates
+     */
+    push(entries) {
+        for (const entry of entries) {
+            if (entry.seq <= this.lastAppliedSeq) continue;
+            if (this.queue.some(e => e.seq === entry.seq)) continue;
+            this.queue.push(entry);
+            if (entry.seq > this.lastReceivedSeq) this.lastReceivedSeq = entry.seq;
+        }
+        this.queue.sort((a, b) => a.seq - b.seq);
+
+        // Too far behind: drop the oldest, but carry their one-shot jump forward
+        while (this.queue.length > this.maxQueued) {
+            const dropped = this.queue.shift();
+            if (dropped.input.jump) this.queue[0].input.jump = true;
+        }
+    }
+
+    /**
+     * Input for this tick: the next queued one, or a repeat of the last
+     * one (minus the jump) when the client's packets are late
+     */
+    next() {
+        const entry = this.queue.shift();
+        if (entry) {
+            this.lastAppliedSeq = entry.seq;
+            this.lastInput = entry.input;
+            this.starvedTicks = 0;
+            return entry.input;
+        }
+
+        if (!this.lastInput) return null;
+        this.starvedTicks++;
+        return { ...this.lastInput, jump: false };
+    }
+
+    /**
+     * Drop anything queued from a previous match. Sequence numbers keep
+     * counting on the client, so the applied seq stays valid.
+     */
+    reset() {
+        this.queue = [];
+        this.lastInput = null;
+        this.starvedTicks = 0;
+    }
+}
@@ -0,0 +1,136 @@
+// =============================================
+// NetSimulator.js — Fake bad network for local testing
+// =============================================
+
+/**
+ * Knobs for one direction of the link:
+ *   lag      ms added to every packet
+ *   jitter   extra random ms (0..jitter) per packet
+ *   loss     % of packets dropped
+ *   dup      % of packets delivered twice
+ *   reorder  % of packets held back so later ones overtake them
+ */
+export const SIM_FIELDS = ['lag', 'jitter', 'loss', 'dup', 'reorder'];
+
+const idle = () => ({ lag: 0, jitter: 0, loss: 0, dup: 0, reorder: 0 });
+
+// Copy a message as the wire would: the sender may reuse the object, and
+// receivers annotate what they get. Binary snapshots are never mutated.
+const copyMessage = (data) => (
+    data instanceof ArrayBuffer || ArrayBuffer.isView(data) ? data : structuredClone(data)
+);
+
+/**
+ * Read simulator settings from a query string. A bare name applies to both
+ * directions, `.in` / `.out` to one: ?lag=80&jitter=20&loss.out=5
+ * Returns null when nothing is set.
+ */
+export function simulatorOptionsFromQuery(search) {
+    const params = new URLSearchParams(search || '');
+    const settings = { in: {}, out: {} };
+    let any = false;
+    for (const field of SIM_FIELDS) {
+        for (const [name, directions] of [[field, ['in', 'out']], [`${field}.in`, ['in']], [`${field}.out`, ['out']]]) {
+            const value = parseFloat(params.get(name));
+            if (!Number.isFinite(value)) continue;
+            for (const direction of directions) settings[direction][field] = value;
+            any = true;
+        }
+    }
+    return any ? settings : null;
+}
+
+/**
+ * Sits between NetworkManager and the transport. 'out' is what this machine
+ * sends, 'in' what it receives. Without reordering each link keeps its
+ * packet order, like the real (ordered) data channels.
+ */
+export class NetSimulator {
+    constructor(settings = null) {
+        this.settings = { in: idle(), out: idle() };
+        this._links = new Map(); // 'direction:peerId' -> { queue, last } for in-order delivery
+        this._timers = new Set();
+        if (settings) {
+            this.configure('in', settings.in || {});
+            this.configure('out', settings.out || {});
+        }
+    }
+
+    configure(direction, values) {
+        const s = this.settings[direction];
+        for (const field of SIM_FIELDS) {
+            if (values[field] !== undefined) s[field] = Math.max(0, Number(values[field]) || 0);
+        }
+        s.loss = Math.min(100, s.loss);
+        s.dup = Math.min(100, s.dup);
+        s.reorder = Math.min(100, s.reorder);
+    }
+
+    isActive(direction) {
+        const s = this.settings[direction];
+        return SIM_FIELDS.some(field => s[field] > 0);
+    }
+
+    /**
+     * Pass `data` through one direction of the fake link. `deliver(data)`
+     * runs zero, one or two times, now or later.
+     */
+    pipe(direction, peerId, data, deliver) {
+        if (!this.isActive(direction)) {
+            deliver(data);
+            return;
+        }
+        const s = this.settings[direction];
+        if (Math.random() * 100 < s.loss) return;
+
+        this._schedule(direction, peerId, copyMessage(data), deliver);
+        if (Math.random() * 100 < s.dup) this._schedule(direction, peerId, copyMessage(data), deliver);
+    }
+
+    _schedule(direction, peerId, data, deliver) {
+        const s = this.settings[direction];
+        const now = performance.now();
+        const at = now + s.lag + Math.random() * s.jitter;
+        if (Math.random() * 100 < s.reorder) {
+            this._after(at + s.jitter + 30 - now, () => deliver(data));
+            return;
+        }
+
+        // In order: never before the previous packet on this link. Timers only
+        // have ms resolution, so a due packet also flushes the ones queued ahead of it.
+        const key = `${direction}:${peerId}`;
+        let link = this._links.get(key);
+        if (!link) {
+            link = { queue: [], last: 0 };
+            this._links.set(key, link);
+        }
+        const entry = { data, deliver };
+        link.queue.push(entry);
+        link.last = Math.max(at, link.last);
+        this._after(link.last - now, () => {
+            if (!link.queue.includes(entry)) return;
+            let next;
+            do {
+                next = link.queue.shift();
+                next.deliver(next.data);
+            } while (next !== entry);
+        });
+    }
+
+    _after(ms, fn) {
+        const timer = setTimeout(() => {
+            this._timers.delete(timer);
+            fn();
+        }, ms);
+        this._timers.add(timer);
+    }
+
+    /**
+     * Drop everything still in flight
+     */
+    clear() {
+        for (const timer of this._timers) clearTimeout(timer);
+        this._timers.clear();
+        this._links.clear();
+    }
+}
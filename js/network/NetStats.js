@@ -0,0 +1,97 @@
+// =============================================
+// NetStats.js — Bandwidth and packet-rate counters
+// =============================================
+
+/**
+ * Approximate wire size of a message. Binary payloads are exact; objects are
+ * measured as JSON, which is what they cost before any transport compression.
+ */
+export function messageSize(data) {
+    if (data instanceof ArrayBuffer) return data.byteLength;
+    if (ArrayBuffer.isView(data)) return data.byteLength;
+    try {
+        return JSON.stringify(data).length;
+    } catch (err) {
+        return 0;
+    }
+}
+
+export class NetStats {
+    constructor() {
+        // Lifetime totals
+        this.bytesIn = 0;
+        this.bytesOut = 0;
+        this.packetsIn = 0;
+        this.packetsOut = 0;
+
+        // Rates over the last completed one-second window
+        this.bytesInPerSec = 0;
+        this.bytesOutPerSec = 0;
+        this.packetsInPerSec = 0;
+        this.packetsOutPerSec = 0;
+
+        this.logging = false; // Print a line every second (?netstats)
+        this._window = { bytesIn: 0, bytesOut: 0, packetsIn: 0, packetsOut: 0 };
+        this._windowStart = performance.now();
+    }
+
+    recordIn(data) {
+        const size = messageSize(data);
+        this.bytesIn += size;
+        this.packetsIn++;
+        this._window.bytesIn += size;
+        this._window.packetsIn++;
+        this._roll();
+    }
+
+    recordOut(data, copies = 1) {
+        if (copies <= 0) return;
+        const size = messageSize(data) * copies;
+        this.bytesOut += size;
+        this.packetsOut += copies;
+        this._window.bytesOut += size;
+        this._window.packetsOut += copies;
+        this._roll();
+    }
+
+    _roll() {
+        const now = performance.now();
+        const elapsed = now - this._windowStart;
+        if (elapsed < 1000) return;
+
+        const scale = 1000 / elapsed;
+        this.bytesInPerSec = this._window.bytesIn * scale;
+        this.bytesOutPerSec = this._window.bytesOut * scale;
+        this.packetsInPerSec = this._window.packetsIn * scale;
+        this.packetsOutPerSec = this._window.packetsOut * scale;
+        this._window = { bytesIn: 0, bytesOut: 0, packetsIn: 0, packetsOut: 0 };
+        this._windowStart = now;
+
+        if (this.logging) console.log('[NET]', this.summary());
+    }
+
+    summary() {
+        const kb = (b) => (b / 1024).toFixed(1);
+        return `in ${kb(this.bytesInPerSec)} KB/s (${Math.round(this.packetsInPerSec)} pkt/s), ` +
+            `out ${kb(this.bytesOutPerSec)} KB/s (${Math.round(this.packetsOutPerSec)} pkt/s)`;
+    }
+
+    reset() {
+        this.bytesIn = this.bytesOut = this.packetsIn = this.packetsOut = 0;
+        this.bytesInPerSec = this.bytesOutPerSec = this.packetsInPerSec = this.packetsOutPerSec = 0;
+        this._window = { bytesIn: 0, bytesOut: 0, packetsIn: 0, packetsOut: 0 };
+        this._windowStart = performance.now();
+    }
+}
+
+/**
+ * Rough link grade from round trip, jitter and how long the peer has been
+ * silent (ms). Used for the signal bars on HUD cards.
+ */
+export function linkQuality({ rtt = 0, jitter = 0, silentMs = 0 }) {
+    if (silentMs > 1500) return 'lost';
+    const score = rtt + jitter * 4;
+    if (score < 120) return 'good';
+    if (score < 250) return 'fair';
+    return 'poor';
+}
@@ -1,21 +1,218 @@
 // =============================================
-// NetworkManager.js — PeerJS WebRTC host/join 
+// NetworkManager.js — Room host/join over a pluggable transport
 // =============================================
 
+import { hostIdFor, transportError } from './transports/Transport.js';
+import { PeerTransport } from './transports/PeerTransport.js';
+import { WebSocketTransport } from './transports/WebSocketTransport.js';
+import { LocalTransport } from './transports/LocalTransport.js';
+import { NetStats } from './NetStats.js';
+import { NetSimulator, simulatorOptionsFromQuery } from './NetSimulator.js';
+import { PROTOCOL_VERSION, validateMessage } from './Protocol.js';
+
+const TRANSPORTS = {
+    peer: PeerTransport,
+    ws: WebSocketTransport,
+    local: LocalTransport
+};
+
+/**
+ * Read transport options from a query string:
+ *   ?net=peer            PeerJS (default when the PeerJS script loaded)
+ *   ?net=ws&relay=URL    WebSocket relay (URL defaults to this page's origin)
+ *   ?net=local           BroadcastChannel between tabs (default offline)
+ *   ?netstats            log bandwidth once per second
+ *   ?lag=&jitter=&loss=&dup=&reorder=   simulate a bad link (see NetSimulator)
+ */
+export function transportOptionsFromQuery(search) {
+    const params = new URLSearchParams(search || '');
+    const options = {};
+    if (params.has('net')) options.transport = params.get('net');
+    if (params.has('relay')) options.relayUrl = params.get('relay');
+    if (params.has('netstats')) options.logStats = true;
+    options.simulate = simulatorOptionsFromQuery(search);
+    return options;
+}
+
 export class NetworkManager {
-    constructor() {
-        this.peer = null;
-        this.connections = new Map(); // peerId -> DataConnection
+    constructor(options = {}) {
+        this.options = options;
+        this.transport = null;
         this.isHost = false;
         this.roomCode = '';
         this.localId = '';
+        this.hostId = '';
         this.onPlayerJoin = null;
         this.onPlayerLeave = null;
         this.onData = null;
         this.onConnected = null;
         this.onError = null;
         this.maxPlayers = 4;
+        this.maxSpectators = 8;
         this.connected = false;
+
+        // Clients introduce themselves with a 'hello' before the host counts them
+        this.hello = {};               // What this client sends when (re)joining
+        this._pendingPeers = new Set(); // Host: connected, no hello yet
+        this._refusedPeers = new Map(); // Host: peerId -> was still pending, while its link closes
+        this._handshake = null;         // Client: settles the pending hello (welcome or reject)
+        this.helloTimeout = 10000;      // Host: ms a new connection gets to say hello
+        this.rejection = null;          // Client: why the host last refused or removed us
+        this.deviceId = '';             // Client: stable per-browser id, sent with hello
+
+        // Host: who may come in. Codes are short enough to guess.
+        this.locked = false;            // Only returning players (resumes) get in
+        this.password = '';             // Required in new players' hello when set
+        this._bans = new Set();         // Banned peer and device ids
+        this._devices = new Map();      // peerId -> device id from its hello
+
+        // Bandwidth counters
+        this.stats = new NetStats();
+        this.stats.logging = !!options.logStats;
+
+        // Debug: latency/loss/etc. injected under send() and onData
+        this.simulator = new NetSimulator(options.simulate);
+    }
+
+    /**
+     * Name of the backend to use for the next host()/join()
+     */
+    get transportName() {
+        if (this.options.transport && TRANSPORTS[this.options.transport]) {
+            return this.options.transport;
+        }
+        return typeof Peer !== 'undefined' ? 'peer' : 'local';
+    }
+
+    _createTransport() {
+        const TransportClass = TRANSPORTS[this.transportName];
+        const transport = new TransportClass(this.options);
+
+        transport.onData = (peerId, data) => {
+            this.simulator.pipe('in', peerId, data, (received) => {
+                // Held back by the simulator past a disconnect: the link is gone
+                if (this.transport !== transport) return;
+                if (this.isHost && !transport.getConnectedPeers().includes(peerId)) return;
+                this._receive(peerId, received);
+            });
+        };
+        transport.onPlayerJoin = (peerId) => this._onTransportJoin(peerId);
+        transport.onPlayerLeave = (peerId) => {
+            this._devices.delete(peerId);
+            if (this._pendingPeers.delete(peerId)) return;
+            if (this._refusedPeers.has(peerId)) {
+                const silent = this._refusedPeers.get(peerId);
+                this._refusedPeers.delete(peerId);
+                if (silent) return;
+            }
+            if (this._handshake) {
+                // Closed on us before we were welcomed
+                this._handshake(transportError('network', 'The host closed the connection.'));
+                return;
+            }
+            console.log('[NET] Peer left:', peerId);
+            if (!this.isHost) this.connected = false;
+            if (this.onPlayerLeave) this.onPlayerLeave(peerId);
+        };
+        transport.onError = (err) => {
+            console.error('[NET] Transport error:', err);
+            if (this.onError) this.onError(err);
+        };
+        return transport;
+    }
+
+    _receive(peerId, data) {
+        this.stats.recordIn(data);
+        if (this._refusedPeers.has(peerId)) return;
+        if (this._pendingPeers.has(peerId)) {
+            this._onHello(peerId, data);
+            return;
+        }
+        const problem = validateMessage(data, this.isHost ? 'host' : 'client');
+        if (problem) {
+            console.warn('[NET] Dropped malformed message from', peerId, '-', problem);
+            return;
+        }
+        if (!this.isHost && (data.type === 'welcome' || data.type === 'reject')) {
+            this._onHandshake(data);
+            return;
+        }
+        if (this.onData) this.onData(peerId, data);
+    }
+
+    _onTransportJoin(peerId) {
+        // Seats vs. spectators is the game's call; this only bounds the room
+        this._pendingPeers.add(peerId);
+        if (this.transport.getConnectedPeers().length > this.maxPlayers - 1 + this.maxSpectators) {
+            this.reject(peerId, 'full', 'The room is full.');
+            return;
+        }
+        // A connection that never says hello would hold a place in the room forever
+        const transport = this.transport;
+        setTimeout(() => {
+            if (this.transport !== transport || !this._pendingPeers.has(peerId)) return;
+            console.warn('[NET] Refused', peerId, '- no hello');
+            this.reject(peerId, 'timeout', 'The host didn\'t hear from you in time.');
+        }, this.helloTimeout);
+    }
+
+    _onHello(peerId, data) {
+        if (!data || data.type !== 'hello') return;
+        // Checked before the schema: older builds may not even send a version
+        if (data.v !== PROTOCOL_VERSION) {
+            console.warn('[NET] Refused', peerId, '- protocol', data.v, 'vs ours', PROTOCOL_VERSION);
+            this.reject(peerId, 'version');
+            return;
+        }
+        const problem = validateMessage(data, 'host');
+        if (problem) {
+            console.warn('[NET] Refused', peerId, '-', problem);
+            this.reject(peerId, 'malformed', 'The host could not read your join request.');
+            return;
+        }
+        const refusal = this._admission(peerId, data);
+        if (refusal) {
+            console.warn('[NET] Refused', peerId, '-', refusal.reason);
+            this.reject(peerId, refusal.reason, refusal.message);
+            return;
+        }
+        this._pendingPeers.delete(peerId);
+        if (data.device) this._devices.set(peerId, data.device);
+        this.send(peerId, { type: 'welcome', v: PROTOCOL_VERSION });
+        console.log('[NET] Player connected:', peerId, data.role || 'player');
+        if (this.onPlayerJoin) this.onPlayerJoin(peerId, data);
+    }
+
+    /**
+     * Host: whether the room lets this hello in. Returns null, or the
+     * { reason, message } to reject it with.
+     */
+    _admission(peerId, hello) {
+        if (this._bans.has(peerId) || (hello.device && this._bans.has(hello.device))) {
+            return { reason: 'banned', message: 'You are banned from this room.' };
+        }
+        // Players reclaiming a seat were let in before; the game checks their token
+        if (hello.resume) return null;
+        if (this.locked) {
+            return { reason: 'locked', message: 'The host has locked this room.' };
+        }
+        if (this.password && hello.password !== this.password) {
+            return hello.password
+                ? { reason: 'password', message: 'Wrong room password.' }
+                : { reason: 'password', message: 'This room needs a password.' };
+        }
+        return null;
+    }
+
+    /**
+     * Host: keep a peer (and its browser) out of this room for good.
+     * Follow with reject() to drop it.
+     */
+    ban(peerId) {
+        if (!this.isHost) return;
+        this._bans.add(peerId);
+        const device = this._devices.get(peerId);
+        if (device) this._bans.add(device);
     }
 
     /**
@@ -35,167 +232,217 @@ export class NetworkManager {
      */
     async host() {
         this.isHost = true;
-        this.roomCode = this._generateCode();
-        const peerId = 'ipvp-' + this.roomCode;
-
-        return new Promise((resolve, reject) => {
-            this.peer = new Peer(peerId, {
-                debug: 1, // Increased debug level
-                config: {
-                    iceServers: [
-                        { urls: 'stun:stun.l.google.com:19302' },
-                        { urls: 'stun:stun1.l.google.com:19302' },
-                        { urls: 'stun:stun2.l.google.com:19302' },
-                        { urls: 'stun:stun3.l.google.com:19302' },
-                        { urls: 'stun:stun4.l.google.com:19302' }
-                    ]
-                }
-            });
+        this.locked = false;
+        this.password = '';
+        this._bans.clear();
 
-            this.peer.on('open', (id) => {
-                this.localId = id;
-                this.connected = true;
-                console.log('[NET] Host ready:', this.roomCode);
-                resolve(this.roomCode);
-            });
-
-            this.peer.on('connection', (conn) => {
-                this._handleConnection(conn);
-            });
-
-            this.peer.on('error', (err) => {
-                console.error('[NET] Host error:', err);
-                if (err.type === 'unavailable-id') {
-                    // Room code already taken, regenerate
-                    this.peer.destroy();
-                    this.roomCode = this._generateCode();
-                    this.host().then(resolve).catch(reject);
-                } else {
-                    if (this.onError) this.onError(err);
-                    reject(err);
-                }
-            });
+        for (let attempt = 0; ; attempt++) {
+            this.roomCode = this._generateCode();
+            this.transport = this._createTransport();
+            try {
+                this.localId = await this.transport.host(this.roomCode);
+                break;
+            } catch (err) {
+                // Room code already taken, regenerate
+                if (err.type === 'unavailable-id' && attempt < 5) continue;
+                if (this.onError) this.onError(err);
+                throw err;
+            }
+        }
 
-            this.peer.on('disconnected', () => {
-                console.log('[NET] Host disconnected, reconnecting...');
-                this.peer.reconnect();
-            });
-        });
+        this.hostId = this.localId;
+        this.connected = true;
+        console.log(`[NET] Host ready (${this.transportName}):`, this.roomCode);
+        return this.roomCode;
     }
 
     /**
-     * Join a game by room code
+     * Join a game by room code. `hello` ({ role, ... }) is handed to the
+     * host's onPlayerJoin.
      */
-    async join(roomCode) {
+    async join(roomCode, hello = {}) {
         this.isHost = false;
+        this.hello = hello;
         this.roomCode = roomCode.toUpperCase();
-        const hostId = 'ipvp-' + this.roomCode;
+        this.hostId = hostIdFor(this.roomCode);
+        this.transport = this._createTransport();
 
-        return new Promise((resolve, reject) => {
-            this.peer = new Peer(undefined, {
-                debug: 1,
-                config: {
-                    iceServers: [
-                        { urls: 'stun:stun.l.google.com:19302' },
-                        { urls: 'stun:stun1.l.google.com:19302' },
-                        { urls: 'stun:stun2.l.google.com:19302' },
-                        { urls: 'stun:stun3.l.google.com:19302' },
-                        { urls: 'stun:stun4.l.google.com:19302' }
-                    ]
-                }
-            });
+        try {
+            await this.transport.join(this.roomCode);
+            this.localId = this.transport.localId;
+            await this._sendHello();
+        } catch (err) {
+            this._dropTransport();
+            if (this.onError) this.onError(err);
+            throw err;
+        }
 
-            this.peer.on('open', (id) => {
-                this.localId = id;
-                console.log('[NET] Client ready, connecting to', hostId);
-
-                const conn = this.peer.connect(hostId, { reliable: true });
-
-                conn.on('open', () => {
-                    this.connected = true;
-                    this.connections.set(hostId, conn);
-                    this._setupDataHandlers(conn);
-                    console.log('[NET] Connected to host');
-                    if (this.onConnected) this.onConnected();
-                    resolve(conn);
-                });
-
-                conn.on('error', (err) => {
-                    console.error('[NET] Connection error:', err);
-                    if (this.onError) this.onError(err);
-                    reject(err);
-                });
-            });
+        this.connected = true;
+        console.log(`[NET] Connected to host (${this.transportName})`);
+        if (this.onConnected) this.onConnected();
+    }
 
-            this.peer.on('error', (err) => {
-                console.error('[NET] Client error:', err);
-                if (this.onError) this.onError(err);
-                reject(err);
-            });
+    // ---- Host migration ----
+
+    /**
+     * Re-open the current room as its host after the previous host left.
+     * The old host's id can linger on the signalling server for a moment,
+     * so a taken id is retried until `timeout` ms have passed.
+     */
+    async takeOverRoom(timeout = 10000) {
+        const roomCode = this.roomCode;
+        this._dropTransport();
+        this.isHost = true;
 
-            // Timeout
-            setTimeout(() => {
-                if (!this.connected) {
-                    reject(new Error('Connection timeout'));
-                }
-            }, 10000);
+        await this._retry(timeout, ['unavailable-id'], async () => {
+            this.transport = this._createTransport();
+            this.localId = await this.transport.host(roomCode);
         });
+
+        this.roomCode = roomCode;
+        this.hostId = this.localId;
+        this.connected = true;
+        console.log('[NET] Took over room', roomCode);
     }
 
-    _handleConnection(conn) {
-        if (this.connections.size >= this.maxPlayers - 1) {
-            conn.close();
-            return;
-        }
+    /**
+     * Connect to whoever hosts the current room now. Rejects if no host
+     * shows up within `timeout` ms, or with a 'rejected' error if it refuses us.
+     */
+    async rejoinRoom(timeout = 6000, hello = this.hello) {
+        this.hello = hello;
+        const roomCode = this.roomCode;
+        this._dropTransport();
+        this.isHost = false;
+        this.hostId = hostIdFor(roomCode);
 
-        conn.on('open', () => {
-            this.connections.set(conn.peer, conn);
-            this._setupDataHandlers(conn);
-            console.log('[NET] Player connected:', conn.peer);
-            if (this.onPlayerJoin) this.onPlayerJoin(conn.peer);
+        await this._retry(timeout, ['peer-unavailable', 'timeout'], async () => {
+            this.transport = this._createTransport();
+            await this.transport.join(roomCode);
+            this.localId = this.transport.localId;
+            await this._sendHello();
         });
 
-        conn.on('close', () => {
-            this.connections.delete(conn.peer);
-            console.log('[NET] Player left:', conn.peer);
-            if (this.onPlayerLeave) this.onPlayerLeave(conn.peer);
-        });
+        this.roomCode = roomCode;
+        this.connected = true;
+        console.log('[NET] Rejoined room', roomCode);
+    }
 
-        conn.on('error', (err) => {
-            console.error('[NET] Connection error:', conn.peer, err);
-            this.connections.delete(conn.peer);
+    // ---- Handshake ----
+
+    /**
+     * Introduce ourselves (with our protocol version) and wait for the host's
+     * welcome. Hosts from another build never answer, hence the timeout.
+     */
+    _sendHello(timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._handshake = null;
+                reject(transportError('timeout', 'The host did not answer the handshake'));
+            }, timeout);
+            this._handshake = (err) => {
+                clearTimeout(timer);
+                this._handshake = null;
+                if (err) reject(err);
+                else resolve();
+            };
+            this.rejection = null;
+            const hello = { ...this.hello, type: 'hello', v: PROTOCOL_VERSION };
+            if (this.deviceId) hello.device = this.deviceId;
+            this.sendToHost(hello);
         });
     }
 
-    _setupDataHandlers(conn) {
-        conn.on('data', (data) => {
-            if (this.onData) this.onData(conn.peer, data);
-        });
+    _onHandshake(data) {
+        const err = data.type === 'reject' ? this._rejectionError(data) : null;
+        if (err) this.rejection = err;
+        if (this._handshake) this._handshake(err);
+    }
 
-        conn.on('close', () => {
-            this.connections.delete(conn.peer);
-            if (this.onPlayerLeave) this.onPlayerLeave(conn.peer);
-        });
+    /**
+     * Error for a host's refusal: type 'rejected', `reason` from the host
+     */
+    _rejectionError(data) {
+        let message = data.message || 'The host refused the connection.';
+        if (data.reason === 'version') {
+            message = `This room runs a different version of the game (v${data.v}, you have ` +
+                `v${PROTOCOL_VERSION}). Reload the page to update.`;
+        }
+        const err = transportError('rejected', message);
+        err.reason = data.reason;
+        return err;
+    }
+
+    /**
+     * Host: tell a peer why it can't stay, then drop it. The short delay
+     * lets the message leave before the link closes.
+     */
+    reject(peerId, reason, message = '') {
+        if (!this.isHost || !this.transport) return;
+        const transport = this.transport;
+        this.send(peerId, { type: 'reject', reason, message, v: PROTOCOL_VERSION });
+        // Never welcomed peers leave without the game hearing about them
+        this._refusedPeers.set(peerId, this._pendingPeers.delete(peerId));
+        setTimeout(() => {
+            if (this.transport === transport) transport.close(peerId);
+        }, 250);
+    }
+
+    async _retry(timeout, retryTypes, attempt) {
+        const deadline = Date.now() + timeout;
+        for (;;) {
+            try {
+                await attempt();
+                return;
+            } catch (err) {
+                this._dropTransport();
+                if (!retryTypes.includes(err.type) || Date.now() + 1000 > deadline) throw err;
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        }
+    }
+
+    /**
+     * Close the current transport without reporting its peers as leaving
+     */
+    _dropTransport() {
+        if (!this.transport) return;
+        this.transport.onPlayerLeave = null;
+        this.transport.onError = null;
+        this.transport.onData = null;
+        this.transport.disconnect();
+        this.simulator.clear();
+        this.transport = null;
+        this.connected = false;
+        this._pendingPeers.clear();
+        this._refusedPeers.clear();
     }
 
     /**
      * Send data to a specific peer
      */
     send(peerId, data) {
-        const conn = this.connections.get(peerId);
-        if (conn && conn.open) {
-            conn.send(data);
-        }
+        if (!this.transport) return;
+        this.stats.recordOut(data);
+        this._transmit(peerId, data);
     }
 
     /**
-     * Broadcast data to all connected peers
+     * Broadcast data to all connected peers that have been let in. Links
+     * still saying hello (or refused, e.g. a wrong password) get nothing.
      */
     broadcast(data) {
-        for (const [id, conn] of this.connections) {
-            if (conn.open) {
-                conn.send(data);
-            }
+        if (!this.transport) return;
+        const peers = this.getConnectedPeers();
+        this.stats.recordOut(data, peers.length);
+        // The transport's own broadcast reaches every link, so only when all of them are in
+        if (!this.simulator.isActive('out') && peers.length === this.transport.getConnectedPeers().length) {
+            this.transport.broadcast(data);
+            return;
+        }
+        // Each link loses and delays packets on its own
+        for (const peerId of peers) {
+            this._transmit(peerId, data);
         }
     }
 
@@ -203,43 +450,57 @@ export class NetworkManager {
      * Send data to host (client only)
      */
     sendToHost(data) {
-        if (this.isHost) return;
-        for (const [id, conn] of this.connections) {
-            if (conn.open) {
-                conn.send(data);
-                return;
-            }
-        }
+        if (this.isHost || !this.transport) return;
+        this.stats.recordOut(data);
+        this._transmit(this.hostId, data);
+    }
+
+    _transmit(peerId, data) {
+        const transport = this.transport;
+        this.simulator.pipe('out', peerId, data, (sent) => {
+            if (this.transport === transport) transport.send(peerId, sent);
+        });
     }
 
     /**
-     * Get list of connected peer IDs
+     * Drop a client's connection (host only)
+     */
+    kick(peerId) {
+        if (!this.isHost || !this.transport) return;
+        this.transport.close(peerId);
+    }
+
+    /**
+     * Get list of connected peer IDs (that have said hello)
      */
     getConnectedPeers() {
-        return Array.from(this.connections.keys());
+        if (!this.transport) return [];
+        return this.transport.getConnectedPeers()
+            .filter(id => !this._pendingPeers.has(id) && !this._refusedPeers.has(id));
     }
 
     /**
      * Get player count (including self)
      */
     getPlayerCount() {
-        return this.connections.size + 1;
+        return this.getConnectedPeers().length + 1;
     }
 
     /**
      * Disconnect and cleanup
      */
     disconnect() {
-        for (const [id, conn] of this.connections) {
-            conn.close();
-        }
-        this.connections.clear();
-        if (this.peer) {
-            this.peer.destroy();
-            this.peer = null;
+        if (this.transport) {
+            this.transport.disconnect();
+            this.transport = null;
         }
+        this.simulator.clear();
+        this._pendingPeers.clear();
+        this._refusedPeers.clear();
+        this._devices.clear();
         this.connected = false;
         this.isHost = false;
         this.roomCode = '';
+        this.hostId = '';
     }
 }
@@ -0,0 +1,134 @@
+// =============================================
+// Protocol.js — Wire protocol version and message schemas
+// =============================================
+
+/**
+ * Bump whenever a message or the snapshot format changes shape. Clients
+ * send it in their hello; the host refuses anyone on a different version.
+ */
+export const PROTOCOL_VERSION = 3;
+
+// ---- Field checks ----
+const num = v => typeof v === 'number' && Number.isFinite(v);
+const int = v => Number.isInteger(v);
+const str = v => typeof v === 'string';
+const bool = v => typeof v === 'boolean';
+const obj = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const optional = check => v => v === undefined || v === null || check(v);
+const arrayOf = (check, max = 1024) => v => Array.isArray(v) && v.length <= max && v.every(check);
+const shape = fields => v => obj(v) && Object.keys(fields).every(key => fields[key](v[key]));
+
+const point = shape({ x: num, y: num });
+const profile = shape({ name: str, color: optional(str), cosmetic: optional(str) });
+
+const inputEntry = shape({
+    seq: int,
+    tick: int,
+    input: shape({
+        moveX: num,
+        jump: optional(bool),
+        aimTarget: optional(point),
+        shootTarget: optional(point),
+        view: optional(num)
+    })
+});
+
+const playerState = shape({ id: str, idx: int, x: num, y: num });
+const entityUpdate = shape({ id: int, x: num, y: num });
+
+/**
+ * Fields each message type must carry, by who receives it. Extra fields are
+ * allowed (older hosts/clients simply ignore them); missing or mistyped ones
+ * get the whole message dropped.
+ */
+const SCHEMAS = {
+    host: {
+        hello: {
+            v: int,
+            role: optional(str),
+            password: optional(str),
+            device: optional(str),
+            profile: optional(profile),
+            // `full`: the client has nothing (it reloaded), send it the whole match
+            resume: optional(shape({ playerId: str, token: optional(str), full: optional(bool) }))
+        },
+        input: { inputs: arrayOf(inputEntry, 64), ack: optional(int) },
+        ping: { t: num, rtt: optional(num), j: optional(num) },
+        ready: { ready: bool },
+        profile: { profile },
+        chat: { text: optional(str), emote: optional(str) }
+    },
+    client: {
+        welcome: { v: int },
+        reject: { reason: str, message: optional(str), v: optional(int) },
+        state: {
+            state: shape({
+                players: arrayOf(playerState),
+                projectiles: optional(arrayOf(entityUpdate)),
+                meteorites: optional(arrayOf(entityUpdate)),
+                timer: optional(num)
+            }),
+            tick: int,
+            hostTime: num,
+            inputAck: int
+        },
+        event: { event: shape({ type: str }) },
+        lobby: {
+            data: shape({
+                players: arrayOf(shape({
+                    index: int,
+                    playerId: str,
+                    ready: optional(bool),
+                    resumeHash: optional(str)
+                })),
+                spectators: optional(arrayOf(obj)),
+                countdown: optional(num)
+            })
+        },
+        start: {
+            data: shape({
+                planets: arrayOf(shape({ x: num, y: num, radius: num, seed: optional(int) })),
+                players: arrayOf(playerState),
+                matchTime: num,
+                seed: optional(int),
+                inProgress: optional(bool)
+            })
+        },
+        end: { rankings: arrayOf(obj) },
+        session: { token: str, playerId: str },
+        pong: { t: num, h: optional(num) },
+        replicate: {
+            tick: int,
+            spawn: arrayOf(shape({ k: str, id: int })),
+            despawn: arrayOf(shape({ k: str, id: int })),
+            full: optional(bool)
+        },
+        links: { links: arrayOf(shape({ id: str, rtt: num, jitter: num, q: str })) },
+        chat: {
+            from: str,
+            name: str,
+            text: optional(str),
+            emote: optional(str),
+            color: optional(str),
+            system: optional(bool)
+        }
+    }
+};
+
+/**
+ * Check an incoming message. `receiver` is 'host' or 'client'.
+ * Returns null when it's fine, otherwise why it should be dropped.
+ * Binary snapshots (clients only) are validated by the codec itself.
+ */
+export function validateMessage(data, receiver) {
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        return receiver === 'client' ? null : 'unexpected binary message';
+    }
+    if (!obj(data) || !str(data.type)) return 'not a message object';
+    const schema = SCHEMAS[receiver][data.type];
+    if (!schema) return `unknown type '${data.type}'`;
+    for (const key of Object.keys(schema)) {
+        if (!schema[key](data[key])) return `bad field '${key}' in '${data.type}'`;
+    }
+    return null;
+}
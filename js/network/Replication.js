@@ -0,0 +1,159 @@
+// =============================================
+// Replication.js — Spawn/update/despawn of networked entities
+// =============================================
+
+import { Projectile } from '../entities/Projectile.js';
+import { Meteorite } from '../entities/Meteorite.js';
+import { Pickup } from '../entities/Pickup.js';
+
+/**
+ * Every replicated entity has a type (below) and an id unique within it.
+ *   list:    the world array holding them, and the snapshot field for updates
+ *   updates: whether serializeUpdate() rides in every snapshot; pickups
+ *            never move, so they only spawn and despawn
+ * Spawns carry the full serialize() output tagged with `k` (the type).
+ */
+export const REPLICATED_TYPES = {
+    projectile: { list: 'projectiles', updates: true, create: data => Projectile.fromSerialized(data) },
+    meteorite: { list: 'meteorites', updates: true, create: data => Meteorite.fromSerialized(data) },
+    pickup: { list: 'pickups', updates: false, create: data => Pickup.fromSerialized(data) }
+};
+
+const keyOf = (k, id) => `${k}:${id}`;
+
+/**
+ * Host side: remembers what clients have been told exists, so each tick
+ * only the differences go out as spawns and despawns. `world` is anything
+ * holding the lists named in REPLICATED_TYPES (the host's MatchSimulation).
+ */
+export class ReplicationRegistry {
+    constructor() {
+        this.known = new Map(); // 'k:id' -> { k, id }
+    }
+
+    /**
+     * Entities that appeared or went away since the last call:
+     * { spawn: [serialized + k], despawn: [{ k, id }] }
+     */
+    diff(world) {
+        const spawn = [];
+        const seen = new Set();
+        for (const [k, type] of Object.entries(REPLICATED_TYPES)) {
+            for (const entity of world[type.list] || []) {
+                if (!entity.active) continue;
+                const key = keyOf(k, entity.id);
+                seen.add(key);
+                if (this.known.has(key)) continue;
+                this.known.set(key, { k, id: entity.id });
+                spawn.push({ ...entity.serialize(), k });
+            }
+        }
+
+        const despawn = [];
+        for (const [key, ref] of this.known) {
+            if (seen.has(key)) continue;
+            this.known.delete(key);
+            despawn.push(ref);
+        }
+        return { spawn, despawn };
+    }
+
+    /**
+     * Spawn entries for everything alive (late joiners and reconnects)
+     */
+    all(world) {
+        const spawn = [];
+        for (const [k, type] of Object.entries(REPLICATED_TYPES)) {
+            for (const entity of world[type.list] || []) {
+                if (entity.active) spawn.push({ ...entity.serialize(), k });
+            }
+        }
+        return spawn;
+    }
+
+    reset() {
+        this.known.clear();
+    }
+}
+
+/**
+ * Client side: persistent objects for the host's entities. Spawns and
+ * despawns arrive ahead of the interpolated view, so each replica keeps
+ * the host tick it appears and disappears at and is only shown in between.
+ */
+export class ReplicaSet {
+    constructor() {
+        this.replicas = new Map(); // 'k:id' -> { k, entity, from, until }
+        this.lastId = 0;           // Highest id seen this match (a promoted host starts past it)
+    }
+
+    spawn(entries, tick) {
+        for (const data of entries) {
+            const type = REPLICATED_TYPES[data.k];
+            if (!type) continue;
+            this.lastId = Math.max(this.lastId, data.id);
+            const replica = this.replicas.get(keyOf(data.k, data.id));
+            if (replica) {
+                replica.until = Infinity;
+                continue;
+            }
+            this.replicas.set(keyOf(data.k, data.id), {
+                k: data.k,
+                entity: type.create(data),
+                from: tick,
+                until: Infinity
+            });
+        }
+    }
+
+    despawn(entries, tick) {
+        for (const { k, id } of entries) {
+            const replica = this.replicas.get(keyOf(k, id));
+            if (replica) replica.until = Math.min(replica.until, tick);
+        }
+    }
+
+    /**
+     * Replace the whole set (after a reconnect), keeping the objects that
+     * are still alive so nothing on screen flickers
+     */
+    resync(entries, tick) {
+        const alive = new Set(entries.map(data => keyOf(data.k, data.id)));
+        for (const key of this.replicas.keys()) {
+            if (!alive.has(key)) this.replicas.delete(key);
+        }
+        this.spawn(entries, tick);
+    }
+
+    /**
+     * Apply a (usually interpolated) state's updates and return the replicas
+     * on screen at `viewTick`, grouped into world lists
+     */
+    apply(state, viewTick) {
+        const world = {};
+        const updates = {};
+        for (const type of Object.values(REPLICATED_TYPES)) {
+            world[type.list] = [];
+            if (!type.updates || !state[type.list]) continue;
+            updates[type.list] = new Map(state[type.list].map(data => [data.id, data]));
+        }
+
+        for (const [key, replica] of this.replicas) {
+            if (viewTick >= replica.until) {
+                this.replicas.delete(key);
+                continue;
+            }
+            if (viewTick < replica.from) continue;
+            const type = REPLICATED_TYPES[replica.k];
+            const data = updates[type.list] && updates[type.list].get(replica.entity.id);
+            if (data) replica.entity.applyState(data);
+            world[type.list].push(replica.entity);
+        }
+        return world;
+    }
+
+    reset() {
+        this.replicas.clear();
+        this.lastId = 0;
+    }
+}
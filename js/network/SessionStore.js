@@ -0,0 +1,43 @@
+// =============================================
+// SessionStore.js — The room we're in, kept across a page reload
+// =============================================
+
+const STORAGE_KEY = 'ipvp-session';
+const MAX_AGE = 5 * 60 * 1000; // ms; older sessions are long gone from the host
+
+/**
+ * The session this tab was last in: { roomCode, password, spectate,
+ * playerId, token }, or null if there's none (or it's too old to resume).
+ * Kept in sessionStorage, so it's per tab and a refresh finds it again.
+ */
+export function loadSession() {
+    try {
+        const session = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+        if (!session || typeof session.roomCode !== 'string') return null;
+        if (!(Date.now() - session.at < MAX_AGE)) return null;
+        return session;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Merge `changes` into the stored session
+ */
+export function saveSession(changes) {
+    const session = { ...loadSession(), ...changes, at: Date.now() };
+    try {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } catch (e) {
+        // Storage blocked: a reload just starts over at the menu
+    }
+    return session;
+}
+
+export function clearSession() {
+    try {
+        sessionStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+        // Nothing stored then either
+    }
+}
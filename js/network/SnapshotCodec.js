@@ -0,0 +1,292 @@
+// =============================================
+// SnapshotCodec.js — Binary delta encoding for state snapshots
+// =============================================
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export const MSG_SNAPSHOT = 0x53; // 'S'
+
+/**
+ * Field types. Everything numeric is quantized to the precision the
+ * serialize() methods already round to, then written as a zigzag varint.
+ */
+const FIELD_TYPES = {
+    bool: {
+        quant: v => (v ? 1 : 0),
+        write: (w, q) => w.u8(q),
+        read: r => r.u8() === 1
+    },
+    u8: {
+        quant: v => v | 0,
+        write: (w, q) => w.u8(q),
+        read: r => r.u8()
+    },
+    int: {
+        quant: v => Math.round(v),
+        write: (w, q) => w.svarint(q),
+        read: r => r.svarint()
+    },
+    fx1: {
+        quant: v => Math.round(v * 10),
+        write: (w, q) => w.svarint(q),
+        read: r => r.svarint() / 10
+    },
+    fx2: {
+        quant: v => Math.round(v * 100),
+        write: (w, q) => w.svarint(q),
+        read: r => r.svarint() / 100
+    },
+    str: {
+        quant: v => (v === undefined || v === null ? '' : String(v)),
+        write: (w, q) => w.str(q),
+        read: r => r.str()
+    }
+};
+
+/**
+ * Entity kinds carried by a snapshot, keyed by a field unique within the kind.
+ * Field names match the serialize() output of each player and the
+ * serializeUpdate() output of replicated entities (see Replication.js).
+ */
+export const SNAPSHOT_KINDS = [
+    {
+        name: 'players',
+        key: 'idx',
+        fields: [
+            ['id', 'str'], ['idx', 'u8'], ['n', 'str'], ['c', 'str'], ['cs', 'str'],
+            ['x', 'fx1'], ['y', 'fx1'], ['vx', 'fx1'], ['vy', 'fx1'],
+            ['gr', 'bool'], ['sa', 'fx2'], ['mx', 'fx2'], ['fl', 'bool'],
+            ['hp', 'int'], ['al', 'bool'], ['k', 'int'], ['d', 'int'],
+            ['df', 'fx2'], ['rt', 'fx2'], ['iv', 'bool'], ['aa', 'fx2'], ['cw', 'str'],
+            ['jg', 'fx2'], ['rc', 'bool']
+        ]
+    },
+    {
+        name: 'projectiles',
+        key: 'id',
+        fields: [
+            ['id', 'int'], ['x', 'int'], ['y', 'int'], ['vx', 'int'], ['vy', 'int'],
+            ['a', 'fx2']
+        ]
+    },
+    {
+        name: 'meteorites',
+        key: 'id',
+        fields: [
+            ['id', 'int'], ['x', 'int'], ['y', 'int'], ['vx', 'int'], ['vy', 'int'],
+            ['rot', 'fx2']
+        ]
+    }
+];
+
+// ---- Byte buffers ----
+export class ByteWriter {
+    constructor(capacity = 512) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+    }
+
+    _reserve(n) {
+        if (this.length + n <= this.bytes.length) return;
+        let size = this.bytes.length * 2;
+        while (size < this.length + n) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(this.bytes.subarray(0, this.length));
+        this.bytes = next;
+    }
+
+    u8(v) {
+        this._reserve(1);
+        this.bytes[this.length++] = v & 0xff;
+    }
+
+    varint(v) {
+        // Unsigned, up to 2^53 (no bitwise ops so large values survive)
+        this._reserve(8);
+        while (v >= 0x80) {
+            this.bytes[this.length++] = (v % 0x80) | 0x80;
+            v = Math.floor(v / 0x80);
+        }
+        this.bytes[this.length++] = v;
+    }
+
+    svarint(v) {
+        this.varint(v < 0 ? -2 * v - 1 : 2 * v);
+    }
+
+    str(s) {
+        const encoded = textEncoder.encode(s);
+        this.varint(encoded.length);
+        this._reserve(encoded.length);
+        this.bytes.set(encoded, this.length);
+        this.length += encoded.length;
+    }
+
+    toArrayBuffer() {
+        return this.bytes.slice(0, this.length).buffer;
+    }
+}
+
+export class ByteReader {
+    constructor(buffer) {
+        this.bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        this.pos = 0;
+    }
+
+    u8() {
+        if (this.pos >= this.bytes.length) throw new RangeError('Snapshot truncated');
+        return this.bytes[this.pos++];
+    }
+
+    varint() {
+        let result = 0;
+        let scale = 1;
+        let b;
+        do {
+            b = this.u8();
+            result += (b & 0x7f) * scale;
+            scale *= 0x80;
+        } while (b & 0x80);
+        return result;
+    }
+
+    svarint() {
+        const v = this.varint();
+        return v % 2 === 0 ? v / 2 : -(v + 1) / 2;
+    }
+
+    str() {
+        const len = this.varint();
+        if (this.pos + len > this.bytes.length) throw new RangeError('Snapshot truncated');
+        const s = textDecoder.decode(this.bytes.subarray(this.pos, this.pos + len));
+        this.pos += len;
+        return s;
+    }
+}
+
+// ---- Encoding ----
+
+/**
+ * Encode `snapshot` ({ tick, hostTime, timer, time, players, projectiles, meteorites })
+ * as a delta against `baseline` (a previous snapshot the receiver holds, or null
+ * for a full snapshot). `inputAck` is the receiver's last input sequence the
+ * host has applied. Returns an ArrayBuffer.
+ */
+export function encodeSnapshot(snapshot, baseline = null, inputAck = 0) {
+    const w = new ByteWriter();
+    w.u8(MSG_SNAPSHOT);
+    w.varint(snapshot.tick);
+    w.varint(baseline ? baseline.tick : 0);
+    w.varint(inputAck);
+    w.varint(Math.max(0, Math.round(snapshot.hostTime || 0))); // Host clock (ms) when sent
+    w.svarint(Math.round((snapshot.timer || 0) * 10));
+    w.svarint(Math.round((snapshot.time || 0) * 10));
+
+    for (const kind of SNAPSHOT_KINDS) {
+        const current = snapshot[kind.name] || [];
+        const baseMap = new Map();
+        if (baseline) {
+            for (const e of baseline[kind.name] || []) baseMap.set(e[kind.key], e);
+        }
+
+        // Changed or new entities
+        const changes = [];
+        for (const entity of current) {
+            const base = baseMap.get(entity[kind.key]);
+            baseMap.delete(entity[kind.key]);
+            let mask = 0;
+            for (let i = 0; i < kind.fields.length; i++) {
+                const [field, type] = kind.fields[i];
+                const t = FIELD_TYPES[type];
+                if (!base || t.quant(entity[field]) !== t.quant(base[field])) {
+                    mask += 2 ** i;
+                }
+            }
+            if (mask !== 0) changes.push({ entity, mask });
+        }
+
+        w.varint(changes.length);
+        for (const { entity, mask } of changes) {
+            w.svarint(entity[kind.key]);
+            w.varint(mask);
+            for (let i = 0; i < kind.fields.length; i++) {
+                if (Math.floor(mask / 2 ** i) % 2 === 0) continue;
+                const [field, type] = kind.fields[i];
+                const t = FIELD_TYPES[type];
+                t.write(w, t.quant(entity[field]), entity[field]);
+            }
+        }
+
+        // Whatever is left in the baseline no longer exists
+        w.varint(baseMap.size);
+        for (const key of baseMap.keys()) w.svarint(key);
+    }
+
+    return w.toArrayBuffer();
+}
+
+// ---- Decoding ----
+
+/**
+ * Peek at a snapshot's header without decoding the body
+ */
+export function readSnapshotHeader(buffer) {
+    const r = new ByteReader(buffer);
+    if (r.u8() !== MSG_SNAPSHOT) return null;
+    return { tick: r.varint(), baseTick: r.varint(), inputAck: r.varint() };
+}
+
+/**
+ * Decode a snapshot. `baseline` must be the decoded snapshot whose tick the
+ * header names (ignored for full snapshots). Returns a plain snapshot object
+ * shaped like the host's serialized game state.
+ */
+export function decodeSnapshot(buffer, baseline = null) {
+    const r = new ByteReader(buffer);
+    if (r.u8() !== MSG_SNAPSHOT) throw new TypeError('Not a snapshot');
+    const tick = r.varint();
+    const baseTick = r.varint();
+    const inputAck = r.varint();
+    if (baseTick !== 0 && (!baseline || baseline.tick !== baseTick)) {
+        throw new RangeError(`Missing baseline ${baseTick} for snapshot ${tick}`);
+    }
+
+    const snapshot = {
+        tick,
+        inputAck,
+        hostTime: r.varint(),
+        timer: r.svarint() / 10,
+        time: r.svarint() / 10
+    };
+
+    for (const kind of SNAPSHOT_KINDS) {
+        const entities = new Map();
+        if (baseTick !== 0) {
+            for (const e of baseline[kind.name] || []) entities.set(e[kind.key], e);
+        }
+
+        const changeCount = r.varint();
+        for (let c = 0; c < changeCount; c++) {
+            const key = r.svarint();
+            const mask = r.varint();
+            const entity = { ...entities.get(key) };
+            for (let i = 0; i < kind.fields.length; i++) {
+                if (Math.floor(mask / 2 ** i) % 2 === 0) continue;
+                const [field, type] = kind.fields[i];
+                entity[field] = FIELD_TYPES[type].read(r);
+            }
+            entity[kind.key] = key;
+            entities.set(key, entity);
+        }
+
+        const removedCount = r.varint();
+        for (let i = 0; i < removedCount; i++) {
+            entities.delete(r.svarint());
+        }
+
+        snapshot[kind.name] = Array.from(entities.values());
+    }
+
+    return snapshot;
+}
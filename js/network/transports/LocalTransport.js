@@ -0,0 +1,179 @@
+// =============================================
+// LocalTransport.js — BroadcastChannel backend (same origin / same process)
+// =============================================
+
+import { Transport, hostIdFor, transportError, randomPeerId } from './Transport.js';
+
+/**
+ * Needs no server at all: two tabs of the same origin, or several
+ * NetworkManagers inside one page or one Node process, talk over a
+ * BroadcastChannel named after the room. Messages are structured-cloned,
+ * so objects and ArrayBuffers arrive exactly as sent.
+ */
+export class LocalTransport extends Transport {
+    constructor(options = {}) {
+        super();
+        this.channel = null;
+        this.peers = new Set();
+        this.hostId = '';
+        this.isHost = false;
+        this._joinPending = null;
+        this.probeTime = options.probeTime || 150;
+        this.joinTimeout = options.joinTimeout || 3000;
+
+        // Tell the room we're gone when the tab closes
+        this._onPageHide = () => this.disconnect();
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('pagehide', this._onPageHide);
+        }
+    }
+
+    _open(roomCode) {
+        this.channel = new BroadcastChannel('ipvp-local-' + roomCode);
+        this.channel.onmessage = (e) => this._onMessage(e.data);
+    }
+
+    _post(msg) {
+        if (this.channel) this.channel.postMessage({ ...msg, from: this.localId });
+    }
+
+    async host(roomCode) {
+        this.isHost = true;
+        this.localId = hostIdFor(roomCode);
+        this._open(roomCode);
+
+        // Make sure nobody else is hosting this room already
+        let taken = false;
+        const probe = randomPeerId('probe-');
+        const listener = (e) => {
+            if (e.data.op === 'probe-ack' && e.data.probe === probe) taken = true;
+        };
+        this.channel.addEventListener('message', listener);
+        this._post({ op: 'probe', probe });
+        await new Promise(resolve => setTimeout(resolve, this.probeTime));
+        if (!this.channel) throw transportError('network', 'Transport closed');
+        this.channel.removeEventListener('message', listener);
+
+        if (taken) {
+            this._closeChannel();
+            this._stopWatchingPage();
+            throw transportError('unavailable-id', `Room ${roomCode} is already hosted`);
+        }
+        this.hostId = this.localId;
+        return this.localId;
+    }
+
+    async join(roomCode) {
+        this.isHost = false;
+        this.localId = randomPeerId('local-');
+        this.hostId = hostIdFor(roomCode);
+        this._open(roomCode);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._joinPending = null;
+                this.disconnect();
+                reject(transportError('peer-unavailable', `Could not connect to ${this.hostId}`));
+            }, this.joinTimeout);
+
+            this._joinPending = () => {
+                clearTimeout(timer);
+                this._joinPending = null;
+                this.peers.add(this.hostId);
+                resolve(this.hostId);
+            };
+            this._post({ op: 'hello', to: this.hostId });
+        });
+    }
+
+    _onMessage(msg) {
+        if (!msg) return;
+        // A probe comes from the id we host under, so answer it before the
+        // own-message check; only once we're actually hosting, though
+        if (msg.op === 'probe') {
+            if (this.isHost && this.hostId) this._post({ op: 'probe-ack', probe: msg.probe });
+            return;
+        }
+        if (msg.from === this.localId) return;
+        const toMe = msg.to === this.localId || msg.to === '*';
+
+        if (this.isHost) {
+            switch (msg.op) {
+                case 'hello':
+                    if (!toMe) return;
+                    this.peers.add(msg.from);
+                    this._post({ op: 'welcome', to: msg.from });
+                    if (this.onPlayerJoin) this.onPlayerJoin(msg.from);
+                    break;
+                case 'data':
+                    if (toMe && this.peers.has(msg.from) && this.onData) this.onData(msg.from, msg.data);
+                    break;
+                case 'bye':
+                    if (toMe && this.peers.delete(msg.from) && this.onPlayerLeave) {
+                        this.onPlayerLeave(msg.from);
+                    }
+                    break;
+            }
+            return;
+        }
+
+        // Client: only the host talks to us
+        if (msg.from !== this.hostId || !toMe) return;
+        switch (msg.op) {
+            case 'welcome':
+                if (this._joinPending) this._joinPending();
+                break;
+            case 'data':
+                if (this.onData) this.onData(msg.from, msg.data);
+                break;
+            case 'bye':
+                if (this.peers.delete(this.hostId)) {
+                    this._closeChannel();
+                    if (this.onPlayerLeave) this.onPlayerLeave(this.hostId);
+                }
+                break;
+        }
+    }
+
+    send(peerId, data) {
+        if (!this.peers.has(peerId)) return;
+        this._post({ op: 'data', to: peerId, data });
+    }
+
+    broadcast(data) {
+        if (this.peers.size === 0) return;
+        this._post({ op: 'data', to: '*', data });
+    }
+
+    close(peerId) {
+        if (!this.peers.delete(peerId)) return;
+        this._post({ op: 'bye', to: peerId });
+    }
+
+    disconnect() {
+        this._stopWatchingPage();
+        if (!this.channel) return;
+        if (this.isHost || this.peers.size > 0) {
+            this._post({ op: 'bye', to: this.isHost ? '*' : this.hostId });
+        }
+        this.peers.clear();
+        this._closeChannel();
+    }
+
+    _closeChannel() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+
+    _stopWatchingPage() {
+        if (typeof window !== 'undefined' && window.removeEventListener) {
+            window.removeEventListener('pagehide', this._onPageHide);
+        }
+    }
+
+    getConnectedPeers() {
+        return Array.from(this.peers);
+    }
+}
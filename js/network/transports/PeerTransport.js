@@ -0,0 +1,179 @@
+// =============================================
+// PeerTransport.js — PeerJS WebRTC backend
+// =============================================
+
+import { Transport, hostIdFor, transportError } from './Transport.js';
+
+const PEER_CONFIG = {
+    debug: 1,
+    config: {
+        iceServers: [
+            { urls: 'stun:stun.l.google.com:19302' },
+            { urls: 'stun:stun1.l.google.com:19302' },
+            { urls: 'stun:stun2.l.google.com:19302' },
+            { urls: 'stun:stun3.l.google.com:19302' },
+            { urls: 'stun:stun4.l.google.com:19302' }
+        ]
+    }
+};
+
+export class PeerTransport extends Transport {
+    constructor(options = {}) {
+        super();
+        this.peer = null;
+        this.connections = new Map(); // peerId -> DataConnection
+        this.peerOptions = options.peerOptions || PEER_CONFIG;
+        this.joinTimeout = options.joinTimeout || 10000;
+    }
+
+    async host(roomCode) {
+        const peerId = hostIdFor(roomCode);
+
+        return new Promise((resolve, reject) => {
+            let opened = false;
+            this.peer = new Peer(peerId, this.peerOptions);
+
+            this.peer.on('open', (id) => {
+                opened = true;
+                this.localId = id;
+                resolve(id);
+            });
+
+            this.peer.on('connection', (conn) => {
+                this._handleConnection(conn);
+            });
+
+            this.peer.on('error', (err) => {
+                console.error('[NET] Host error:', err);
+                if (!opened) {
+                    this.peer.destroy();
+                    this.peer = null;
+                    reject(err);
+                } else if (this.onError) {
+                    this.onError(err);
+                }
+            });
+
+            this.peer.on('disconnected', () => {
+                console.log('[NET] Host disconnected, reconnecting...');
+                if (this.peer && !this.peer.destroyed) this.peer.reconnect();
+            });
+        });
+    }
+
+    async join(roomCode) {
+        const hostId = hostIdFor(roomCode);
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const fail = (err) => {
+                if (settled) {
+                    if (this.onError) this.onError(err);
+                    return;
+                }
+                settled = true;
+                reject(err);
+            };
+
+            this.peer = new Peer(undefined, this.peerOptions);
+
+            this.peer.on('open', (id) => {
+                this.localId = id;
+                console.log('[NET] Client ready, connecting to', hostId);
+
+                const conn = this.peer.connect(hostId, { reliable: true });
+
+                conn.on('open', () => {
+                    this.connections.set(hostId, conn);
+                    this._setupDataHandlers(conn);
+                    settled = true;
+                    resolve(hostId);
+                });
+
+                conn.on('error', (err) => {
+                    console.error('[NET] Connection error:', err);
+                    fail(err);
+                });
+            });
+
+            this.peer.on('error', (err) => {
+                console.error('[NET] Client error:', err);
+                fail(err);
+            });
+
+            // Timeout
+            setTimeout(() => {
+                if (!settled) fail(transportError('timeout', 'Connection timeout'));
+            }, this.joinTimeout);
+        });
+    }
+
+    _handleConnection(conn) {
+        conn.on('open', () => {
+            this.connections.set(conn.peer, conn);
+            this._setupDataHandlers(conn);
+            if (this.onPlayerJoin) this.onPlayerJoin(conn.peer);
+        });
+
+        conn.on('error', (err) => {
+            console.error('[NET] Connection error:', conn.peer, err);
+            this._dropConnection(conn);
+        });
+    }
+
+    _setupDataHandlers(conn) {
+        conn.on('data', (data) => {
+            if (this.onData) this.onData(conn.peer, data);
+        });
+
+        conn.on('close', () => this._dropConnection(conn));
+    }
+
+    /**
+     * A connection errored or closed, whichever came first: report the leave once
+     */
+    _dropConnection(conn) {
+        // Only report peers we still consider connected (close() already removed them)
+        if (this.connections.get(conn.peer) !== conn) return;
+        this.connections.delete(conn.peer);
+        if (this.onPlayerLeave) this.onPlayerLeave(conn.peer);
+    }
+
+    send(peerId, data) {
+        const conn = this.connections.get(peerId);
+        if (conn && conn.open) {
+            conn.send(data);
+        }
+    }
+
+    broadcast(data) {
+        for (const conn of this.connections.values()) {
+            if (conn.open) {
+                conn.send(data);
+            }
+        }
+    }
+
+    close(peerId) {
+        const conn = this.connections.get(peerId);
+        if (!conn) return;
+        this.connections.delete(peerId);
+        conn.close();
+    }
+
+    disconnect() {
+        const conns = Array.from(this.connections.values());
+        this.connections.clear();
+        for (const conn of conns) {
+            conn.close();
+        }
+        if (this.peer) {
+            this.peer.destroy();
+            this.peer = null;
+        }
+    }
+
+    getConnectedPeers() {
+        return Array.from(this.connections.keys());
+    }
+}
@@ -0,0 +1,89 @@
+// =============================================
+// Transport.js — Base interface for network backends
+// =============================================
+
+/**
+ * Every backend (PeerJS, WebSocket relay, BroadcastChannel) implements this
+ * surface. NetworkManager is the only caller, so HostState, ClientState and
+ * main.js never touch a concrete library.
+ *
+ * Errors handed to onError or used to reject host()/join() carry a PeerJS-style
+ * `type` ('peer-unavailable', 'unavailable-id', 'network', 'timeout', ...).
+ */
+export class Transport {
+    constructor() {
+        this.localId = '';
+        this.onData = null;        // (peerId, data)
+        this.onPlayerJoin = null;  // (peerId) — host: a client connected
+        this.onPlayerLeave = null; // (peerId) — host: client left, client: host left
+        this.onError = null;       // (err) — runtime errors after host()/join() resolved
+    }
+
+    /**
+     * Open a room as host. Resolves with the local id once clients can connect.
+     */
+    async host(roomCode) {
+        throw new Error('Transport.host() not implemented');
+    }
+
+    /**
+     * Connect to a room's host. Resolves with the host id once the link is open.
+     */
+    async join(roomCode) {
+        throw new Error('Transport.join() not implemented');
+    }
+
+    /**
+     * Send data to a specific peer
+     */
+    send(peerId, data) { }
+
+    /**
+     * Send data to every connected peer
+     */
+    broadcast(data) {
+        for (const peerId of this.getConnectedPeers()) {
+            this.send(peerId, data);
+        }
+    }
+
+    /**
+     * Drop a single peer's connection
+     */
+    close(peerId) { }
+
+    /**
+     * Close everything
+     */
+    disconnect() { }
+
+    /**
+     * Ids of peers with an open link
+     */
+    getConnectedPeers() {
+        return [];
+    }
+}
+
+/**
+ * Peer id a room's host is reachable under (shared by all backends)
+ */
+export function hostIdFor(roomCode) {
+    return 'ipvp-' + roomCode;
+}
+
+/**
+ * Build an Error with a PeerJS-style `type` field
+ */
+export function transportError(type, message) {
+    const err = new Error(message);
+    err.type = type;
+    return err;
+}
+
+/**
+ * Short random id for backends that have to mint their own peer ids
+ */
+export function randomPeerId(prefix) {
+    return prefix + Math.random().toString(36).slice(2, 10);
+}
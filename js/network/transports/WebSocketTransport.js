@@ -0,0 +1,194 @@
+// =============================================
+// WebSocketTransport.js — Relay backend (see server/relay.js)
+// =============================================
+
+import { Transport, hostIdFor, transportError } from './Transport.js';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Talks to a dumb relay that forwards messages between the sockets of a room.
+ * Control messages and plain objects travel as JSON text frames; ArrayBuffers
+ * (and typed arrays) travel as binary frames prefixed with the target/sender id:
+ *
+ *   [u8 idLength][id bytes][payload]
+ */
+export class WebSocketTransport extends Transport {
+    constructor(options = {}) {
+        super();
+        this.url = options.relayUrl || WebSocketTransport.defaultUrl();
+        this.socket = null;
+        this.peers = new Set();
+        this.hostId = '';
+        this.isHost = false;
+        this.joinTimeout = options.joinTimeout || 10000;
+        this._pending = null; // { resolve, reject } while host()/join() is in flight
+    }
+
+    /**
+     * The relay doubles as a static file server, so by default it lives on the page's own origin
+     */
+    static defaultUrl() {
+        if (typeof location === 'undefined') return 'ws://localhost:8787/relay';
+        const scheme = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${scheme}//${location.host}/relay`;
+    }
+
+    async host(roomCode) {
+        this.isHost = true;
+        this.hostId = hostIdFor(roomCode);
+        return this._connect({ op: 'host', room: roomCode });
+    }
+
+    async join(roomCode) {
+        this.isHost = false;
+        this.hostId = hostIdFor(roomCode);
+        await this._connect({ op: 'join', room: roomCode });
+        this.peers.add(this.hostId);
+        return this.hostId;
+    }
+
+    _connect(openMsg) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                if (!this._pending) return;
+                this._pending = null;
+                this._closeSocket();
+                reject(transportError('timeout', 'Connection timeout'));
+            }, this.joinTimeout);
+
+            this._pending = {
+                resolve: (id) => { clearTimeout(timer); this._pending = null; resolve(id); },
+                reject: (err) => { clearTimeout(timer); this._pending = null; this._closeSocket(); reject(err); }
+            };
+
+            try {
+                this.socket = new WebSocket(this.url);
+            } catch (err) {
+                this._pending.reject(transportError('network', `Cannot reach relay at ${this.url}`));
+                return;
+            }
+            this.socket.binaryType = 'arraybuffer';
+
+            this.socket.onopen = () => this._sendControl(openMsg);
+            this.socket.onmessage = (e) => this._onMessage(e.data);
+            this.socket.onerror = () => {
+                if (this._pending) {
+                    this._pending.reject(transportError('network', `Cannot reach relay at ${this.url}`));
+                } else if (this.onError) {
+                    this.onError(transportError('network', 'Relay connection error'));
+                }
+            };
+            this.socket.onclose = () => this._onSocketClosed();
+        });
+    }
+
+    _onMessage(raw) {
+        if (raw instanceof ArrayBuffer) {
+            const bytes = new Uint8Array(raw);
+            const idLen = bytes[0];
+            const from = textDecoder.decode(bytes.subarray(1, 1 + idLen));
+            if (this.onData) this.onData(from, raw.slice(1 + idLen));
+            return;
+        }
+
+        const msg = JSON.parse(raw);
+        switch (msg.op) {
+            case 'open':
+                this.localId = msg.id;
+                if (this._pending) this._pending.resolve(msg.id);
+                break;
+            case 'error':
+                if (this._pending) {
+                    this._pending.reject(transportError(msg.type, msg.message));
+                } else if (this.onError) {
+                    this.onError(transportError(msg.type, msg.message));
+                }
+                break;
+            case 'peer-join':
+                this.peers.add(msg.peer);
+                if (this.onPlayerJoin) this.onPlayerJoin(msg.peer);
+                break;
+            case 'peer-leave':
+                if (this.peers.delete(msg.peer) && this.onPlayerLeave) this.onPlayerLeave(msg.peer);
+                break;
+            case 'data':
+                if (this.onData) this.onData(msg.from, msg.data);
+                break;
+        }
+    }
+
+    _onSocketClosed() {
+        this.socket = null;
+        if (this._pending) {
+            this._pending.reject(transportError('network', 'Relay closed the connection'));
+            return;
+        }
+        // Losing the relay means losing everybody
+        const lost = Array.from(this.peers);
+        this.peers.clear();
+        for (const peerId of lost) {
+            if (this.onPlayerLeave) this.onPlayerLeave(peerId);
+        }
+    }
+
+    _sendControl(msg) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(msg));
+        }
+    }
+
+    _sendBinary(target, data) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        const id = textEncoder.encode(target);
+        const payload = data instanceof ArrayBuffer
+            ? new Uint8Array(data)
+            : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        const frame = new Uint8Array(1 + id.length + payload.length);
+        frame[0] = id.length;
+        frame.set(id, 1);
+        frame.set(payload, 1 + id.length);
+        this.socket.send(frame.buffer);
+    }
+
+    send(peerId, data) {
+        if (!this.peers.has(peerId)) return;
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            this._sendBinary(peerId, data);
+        } else {
+            this._sendControl({ op: 'send', to: peerId, data });
+        }
+    }
+
+    broadcast(data) {
+        if (this.peers.size === 0) return;
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            this._sendBinary('*', data);
+        } else {
+            this._sendControl({ op: 'send', to: '*', data });
+        }
+    }
+
+    close(peerId) {
+        if (!this.peers.delete(peerId)) return;
+        this._sendControl({ op: 'kick', peer: peerId });
+    }
+
+    disconnect() {
+        this.peers.clear();
+        this._closeSocket();
+    }
+
+    _closeSocket() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        this.socket = null;
+        socket.onclose = null;
+        socket.close();
+    }
+
+    getConnectedPeers() {
+        return Array.from(this.peers);
+    }
+}
@@ -0,0 +1,90 @@
+// =============================================
+// Benchmark.js — Worst-case match to time the simulation tick
+// =============================================
+
+import { MatchSimulation } from './MatchSimulation.js';
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * A machine-gun free-for-all in an endless meteor shower: every astronaut
+ * holds the trigger at whoever is nearest while strafing and hopping.
+ * Steps it `seconds` of match time at 60 Hz (after `warmup` seconds left
+ * untimed, so the JIT has settled) and reports how long the ticks took
+ * (ms), against the 16.7 ms a frame has at 60 Hz:
+ *
+ *   { ticks, avg, p50, p99, max, budget, peakProjectiles, peakMeteorites }
+ *
+ * Same seed every run, so runs compare. In the game, open with ?bench=1;
+ * headless, import it under Node and call it.
+ */
+export function runCombatBenchmark(options = {}) {
+    const playerCount = options.players ?? 8;
+    const seconds = options.seconds ?? 30;
+    const warmup = options.warmup ?? 3;
+    const dt = 1 / 60;
+
+    const sim = new MatchSimulation({ matchTime: warmup + seconds + 1, killTarget: Infinity });
+    const roster = [];
+    for (let i = 0; i < playerCount; i++) roster.push({ id: `bench-${i}`, index: i });
+    sim.setup(roster, options.seed ?? 1);
+
+    // The shower starts now and never lets up
+    sim.hazards.showerTimer = sim.hazards.showerInterval;
+    sim.hazards.showerDuration = Infinity;
+
+    const inputs = new Map();
+    const times = [];
+    let peakProjectiles = 0;
+    let peakMeteorites = 0;
+
+    for (let tick = 0; tick < (warmup + seconds) * 60; tick++) {
+        inputs.clear();
+        for (const player of sim.players) {
+            if (!player.alive) continue;
+            player.currentWeapon = 'MACHINE_GUN';
+            const target = nearestEnemy(player, sim.players) || { x: 0, y: 0 };
+            inputs.set(player.id, {
+                moveX: Math.sin(tick / 45 + player.index) > 0 ? 1 : -1,
+                jump: (tick + player.index * 17) % 150 === 0,
+                aimTarget: target,
+                shootTarget: target
+            });
+        }
+
+        const start = now();
+        sim.step(inputs, dt);
+        if (tick >= warmup * 60) times.push(now() - start);
+
+        peakProjectiles = Math.max(peakProjectiles, sim.projectiles.length);
+        peakMeteorites = Math.max(peakMeteorites, sim.meteorites.length);
+    }
+
+    const sorted = [...times].sort((a, b) => a - b);
+    const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * q))];
+    const round = (ms) => Math.round(ms * 1000) / 1000;
+    return {
+        ticks: times.length,
+        avg: round(times.reduce((sum, t) => sum + t, 0) / times.length),
+        p50: round(at(0.5)),
+        p99: round(at(0.99)),
+        max: round(sorted[sorted.length - 1]),
+        budget: round(1000 / 60),
+        peakProjectiles,
+        peakMeteorites
+    };
+}
+
+function nearestEnemy(player, players) {
+    let best = null;
+    let bestDistSq = Infinity;
+    for (const other of players) {
+        if (other === player || !other.alive) continue;
+        const distSq = (other.x - player.x) ** 2 + (other.y - player.y) ** 2;
+        if (distSq < bestDistSq) {
+            best = other;
+            bestDistSq = distSq;
+        }
+    }
+    return best && { x: best.x, y: best.y };
+}
@@ -3,27 +3,92 @@
 // =============================================
 
 import { Physics } from '../engine/Physics.js';
+import { SpatialHash } from '../engine/SpatialHash.js';
+
+/**
+ * Drop inactive entries in place (no new arrays)
+ */
+function removeInactive(list) {
+    let kept = 0;
+    for (let i = 0; i < list.length; i++) {
+        if (list[i].active) list[kept++] = list[i];
+    }
+    list.length = kept;
+}
 
 export class CollisionSystem {
+    constructor() {
+        // Optional LagCompensation (host only): projectiles carrying rewindTicks
+        // are tested against targets where their shooter saw them
+        this.lagCompensation = null;
+
+        // Broadphase grids. Players are re-bucketed every tick; planets never
+        // move, so theirs are only rebuilt for a new map.
+        this.playerGrid = new SpatialHash(128);
+        this.planetGrid = new SpatialHash(256);   // By surface
+        this.gravityGrid = new SpatialHash(256);  // By gravity range
+        this._indexedPlanets = null;
+        this._indexedCount = 0;
+    }
+
+    /**
+     * Bucket the map's planets. Cheap to call every tick: only a different
+     * planet list rebuilds the grids.
+     */
+    indexPlanets(planets) {
+        if (planets === this._indexedPlanets && planets.length === this._indexedCount) return;
+        this._indexedPlanets = planets;
+        this._indexedCount = planets.length;
+        this.planetGrid.clear();
+        this.gravityGrid.clear();
+        for (const planet of planets) {
+            this.planetGrid.insert(planet, planet.x, planet.y, planet.radius);
+            this.gravityGrid.insert(planet, planet.x, planet.y, planet.gravityRange);
+        }
+    }
+
+    /**
+     * Planets whose gravity may reach (x, y); check the range exactly. Call
+     * indexPlanets first, and use the array before the next query.
+     */
+    planetsPulling(x, y) {
+        return this.gravityGrid.query(x, y, 0);
+    }
+
     /**
      * Check all collisions, return events
      */
     update(players, projectiles, meteorites, planets, particles) {
         const events = [];
 
+        this.indexPlanets(planets);
+        this.playerGrid.clear();
+        for (const player of players) {
+            // +4: the widest hitbox padding tested below
+            if (player.alive) this.playerGrid.insert(player, player.x, player.y, player.radius + 4);
+        }
+
         // Projectile ↔ Player
         for (let i = projectiles.length - 1; i >= 0; i--) {
             const proj = projectiles[i];
             if (!proj.active) continue;
 
-            for (const player of players) {
+            // Rewound targets aren't where the grid has them; there are few enough to test all
+            const rewound = this.lagCompensation && proj.rewindTicks > 0;
+            const candidates = rewound ? players : this.playerGrid.query(proj.x, proj.y, proj.radius);
+            for (const player of candidates) {
                 if (!player.alive) continue;
                 if (player.id === proj.ownerId) continue; // No self-damage
                 if (player.invulnerable > 0) continue;
 
+                const hitbox = rewound
+                    ? this.lagCompensation.positionAt(player, proj.rewindTicks)
+                    : player;
+                if (!hitbox) continue;
+
                 if (Physics.circleCollision(
                     proj.x, proj.y, proj.radius,
-                    player.x, player.y, player.radius + 4
+                    hitbox.x, hitbox.y, player.radius + 4
                 )) {
                     const died = player.takeDamage(proj.damage, proj.ownerId);
                     proj.active = false;
@@ -50,7 +115,8 @@ export class CollisionSystem {
                             killerId: proj.ownerId,
                             victimId: player.id,
                             killerName: attacker?.name,
-                            victimName: player.name
+                            victimName: player.name,
+                            weapon: attacker?.currentWeapon
                         });
                     } else {
                         events.push({
@@ -67,7 +133,7 @@ export class CollisionSystem {
         // Projectile ↔ Planet (destroy on impact)
         for (const proj of projectiles) {
             if (!proj.active) continue;
-            for (const planet of planets) {
+            for (const planet of this.planetGrid.query(proj.x, proj.y, 0)) {
                 if (planet.isInside(proj.x, proj.y)) {
                     proj.active = false;
                     if (particles) {
@@ -86,7 +152,7 @@ export class CollisionSystem {
         // Meteorite ↔ Player
         for (const met of meteorites) {
             if (!met.active) continue;
-            for (const player of players) {
+            for (const player of this.playerGrid.query(met.x, met.y, met.radius)) {
                 if (!player.alive || player.invulnerable > 0) continue;
 
                 if (Physics.circleCollision(
@@ -115,7 +181,7 @@ export class CollisionSystem {
         for (let i = meteorites.length - 1; i >= 0; i--) {
             const met = meteorites[i];
             if (!met.active) continue;
-            for (const planet of planets) {
+            for (const planet of this.planetGrid.query(met.x, met.y, met.radius * 0.5)) {
                 if (Physics.circleCollision(
                     met.x, met.y, met.radius * 0.5,
                     planet.x, planet.y, planet.radius
@@ -131,12 +197,8 @@ export class CollisionSystem {
         }
 
         // Clean up inactive projectiles and meteorites
-        for (let i = projectiles.length - 1; i >= 0; i--) {
-            if (!projectiles[i].active) projectiles.splice(i, 1);
-        }
-        for (let i = meteorites.length - 1; i >= 0; i--) {
-            if (!meteorites[i].active) meteorites.splice(i, 1);
-        }
+        removeInactive(projectiles);
+        removeInactive(meteorites);
 
         return events;
     }
@@ -3,11 +3,13 @@
 // =============================================
 
 import { Vec2, Physics } from '../engine/Physics.js';
+import { Random } from '../engine/Random.js';
 
 export class GravitySystem {
     constructor() {
         this.surfaceThreshold = 8;
         this.surfaceFriction = 0.85;
+        this.rng = new Random(); // The match's generator once a simulation owns this
     }
 
     /**
@@ -94,12 +96,12 @@ export class GravitySystem {
                 currentMoveSpeed = player.moveSpeed * 0.6; // Sand slows you down
             } else if (nearestPlanet.themeKey === 'lava') {
                 // Take burn damage over time (5 dmg per second)
-                if (Math.random() < dt * 5) {
+                if (this.rng.next() < dt * 5) {
                     player.takeDamage(1, 'lava');
                 }
             } else if (nearestPlanet.themeKey === 'forest') {
                 // Heal slowly (5 hp per second)
-                if (player.health < player.maxHealth && Math.random() < dt * 5) {
+                if (player.health < player.maxHealth && this.rng.next() < dt * 5) {
                     player.health++;
                 }
             }
@@ -159,6 +161,19 @@ export class GravitySystem {
         }
     }
 
+    /**
+     * Apply movement input (walk direction + jump) to a player.
+     * Shared by the host simulation and client-side prediction so both move identically.
+     * Returns true if the player jumped.
+     */
+    applyInput(player, input, planets) {
+        player.moveX = input.moveX || 0;
+        if (!input.jump) return false;
+
+        const { planet } = Physics.nearestPlanet(new Vec2(player.x, player.y), planets);
+        return !!planet && this.jump(player, planet);
+    }
+
     /**
      * Handle player jump
      */
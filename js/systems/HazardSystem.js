@@ -4,6 +4,8 @@
 
 import { Meteorite } from '../entities/Meteorite.js';
 import { Physics } from '../engine/Physics.js';
+import { Random } from '../engine/Random.js';
+import { IdCounter } from '../engine/IdCounter.js';
 
 export class HazardSystem {
     constructor() {
@@ -18,6 +20,8 @@ export class HazardSystem {
         this.showerDuration = 5;
         this.showerElapsed = 0;
         this.mapRadius = 1500; // how far from center to spawn meteorites
+        this.rng = new Random(); // The match's generator once a simulation owns this
+        this.ids = new IdCounter(); // Likewise its entity ids
     }
 
     /**
@@ -60,19 +64,21 @@ export class HazardSystem {
         if (meteorites.length > 15) return; // Limit active meteorites
 
         // Spawn from random edge outside the map
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.rng.next() * Math.PI * 2;
         const spawnDist = this.mapRadius + 100;
         const x = Math.cos(angle) * spawnDist;
         const y = Math.sin(angle) * spawnDist;
 
         // Aim roughly toward center with some randomness
-        const targetAngle = angle + Math.PI + (Math.random() - 0.5) * 0.8;
-        const speed = 100 + Math.random() * 150;
+        const targetAngle = angle + Math.PI + (this.rng.next() - 0.5) * 0.8;
+        const speed = 100 + this.rng.next() * 150;
         const vx = Math.cos(targetAngle) * speed;
         const vy = Math.sin(targetAngle) * speed;
 
-        const radius = 10 + Math.random() * 15;
-        meteorites.push(new Meteorite(x, y, vx, vy, radius));
+        const radius = 10 + this.rng.next() * 15;
+        const meteorite = new Meteorite(x, y, vx, vy, radius, this.rng);
+        meteorite.id = this.ids.next();
+        meteorites.push(meteorite);
     }
 
     /**
@@ -0,0 +1,77 @@
+// =============================================
+// LagCompensation.js — Host-side hitbox history for rewinding shots
+// =============================================
+
+import { Physics } from '../engine/Physics.js';
+
+/**
+ * Clients see other players ~100 ms in the past (interpolation delay + latency).
+ * The host records where every player was on each tick so a client's
+ * projectiles can be checked against targets as that client saw them.
+ */
+export class LagCompensation {
+    constructor(options = {}) {
+        this.tickRate = 60;
+        this.maxRewindMs = options.maxRewindMs ?? 200; // High-ping players can't shoot further back
+        this.history = new Map(); // tick -> Map(playerId -> { x, y })
+        this.lastTick = 0;
+    }
+
+    get maxRewindTicks() {
+        return Math.round(this.maxRewindMs / 1000 * this.tickRate);
+    }
+
+    /**
+     * Store player positions for `tick` (the tick number the snapshot carries)
+     */
+    record(tick, players) {
+        const boxes = new Map();
+        for (const p of players) {
+            if (p.alive) boxes.set(p.id, { x: p.x, y: p.y });
+        }
+        this.history.set(tick, boxes);
+        this.lastTick = tick;
+
+        for (const t of this.history.keys()) {
+            if (t >= tick - this.maxRewindTicks - 1) break;
+            this.history.delete(t);
+        }
+    }
+
+    /**
+     * How many ticks to rewind for a shooter whose screen showed `viewTick`
+     * (fractional, from interpolation) while the host simulates the next tick
+     */
+    rewindTicksFor(viewTick) {
+        if (!viewTick) return 0;
+        const behind = this.lastTick + 1 - viewTick;
+        return Math.max(0, Math.min(this.maxRewindTicks, behind));
+    }
+
+    /**
+     * Where `player` was `rewindTicks` before the tick being simulated, or
+     * null if they weren't alive then. Falls back to the live position when
+     * the history doesn't reach back that far.
+     */
+    positionAt(player, rewindTicks) {
+        if (rewindTicks <= 0) return player;
+        const target = this.lastTick + 1 - rewindTicks;
+        const before = this.history.get(Math.floor(target));
+        const after = this.history.get(Math.ceil(target));
+        if (!before && !after) return player;
+        const a = before && before.get(player.id);
+        const b = after && after.get(player.id);
+        if (!a || !b) return a || b || null;
+
+        const t = target - Math.floor(target);
+        return {
+            x: Physics.lerp(a.x, b.x, t),
+            y: Physics.lerp(a.y, b.y, t)
+        };
+    }
+
+    clear() {
+        this.history.clear();
+        this.lastTick = 0;
+    }
+}
@@ -0,0 +1,344 @@
+// =============================================
+// MatchSimulation.js — The match itself: rules, entities and systems, no DOM
+// =============================================
+
+import { Vec2, Physics } from '../engine/Physics.js';
+import { Random } from '../engine/Random.js';
+import { IdCounter } from '../engine/IdCounter.js';
+import { Planet, generateMap } from '../entities/Planet.js';
+import { Player } from '../entities/Player.js';
+import { Pickup } from '../entities/Pickup.js';
+
+import { GravitySystem } from './GravitySystem.js';
+import { CollisionSystem } from './CollisionSystem.js';
+import { WeaponSystem } from './WeaponSystem.js';
+import { HazardSystem } from './HazardSystem.js';
+
+const PICKUP_KINDS = ['HEALTH', 'MACHINE_GUN', 'SNIPER', 'SHOTGUN'];
+const VOID_RADIUS = 2000; // Fly further than this from the centre and the void takes you
+const pull = new Vec2();  // Scratch for _pull, so gravity doesn't allocate per body per planet
+
+/**
+ * One match, stepped a tick at a time: inputs in, state and events out.
+ * It never touches the page, so the host's Game, tests and bots drive the
+ * same rules, and it runs under Node (scripts/sim-check.mjs does, for CI):
+ *
+ *   const sim = new MatchSimulation();
+ *   sim.setup([{ id: 'a', index: 0 }, { id: 'b', index: 1 }]);
+ *   while (!sim.over) sim.step(new Map([['a', { moveX: 1, jump: true }]]), 1 / 60);
+ *   console.log(sim.rankings());
+ *
+ * Inputs are { moveX, jump, aimTarget, shootTarget, view } with targets in
+ * world coordinates. Every gameplay roll comes from the match seed, so the
+ * same seed and the same inputs play out the same match. `particles`
+ * (a ParticlePool) only adds visual effects; leave it null when nothing
+ * is drawn.
+ */
+export class MatchSimulation {
+    constructor(options = {}) {
+        this.matchTime = options.matchTime ?? 180;  // Seconds
+        this.killTarget = options.killTarget ?? 10;
+        this.particles = options.particles || null;
+
+        this.gravity = new GravitySystem();
+        this.collision = new CollisionSystem();
+        this.weapons = new WeaponSystem();
+        this.hazards = new HazardSystem();
+
+        this.seed = 0;
+        this.rng = new Random(this.seed);
+        this.ids = new IdCounter();
+        this.planets = [];
+        this.players = [];
+        this.projectiles = [];
+        this.meteorites = [];
+        this.pickups = [];
+        this.pickupSpawnTimer = 0;
+        this.pickupInterval = 10;   // Seconds between pickup spawns
+        this.maxPickups = 8;
+        this.matchTimer = this.matchTime;
+        this.gameTime = 0;
+        this.over = false;
+    }
+
+    /**
+     * Start a new match for `roster` ([{ id, index, name, color, cosmetic }],
+     * in seating order): a fresh map with everyone on their own planet.
+     * `seed` decides the map and every roll after it. Returns the start
+     * data clients need to load the same match.
+     */
+    setup(roster, seed = Random.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.planets = generateMap(roster.length, new Random(this.seed));
+        const spawnPlanets = this.planets.slice(1); // Skip central planet
+
+        // Seats can have gaps, so spawns go by seating order
+        this.players = roster.map((entry, i) => {
+            const player = new Player(entry.id, entry.index);
+            if (entry.name) player.name = entry.name;
+            if (entry.color) player.color = entry.color;
+            if (entry.cosmetic) player.cosmetic = entry.cosmetic;
+            player.spawn(spawnPlanets[i % spawnPlanets.length], -Math.PI / 2); // Top of planet
+            return player;
+        });
+        this._reset(this.matchTime);
+        return this.startData();
+    }
+
+    /**
+     * Load a match from start data (see setup)
+     */
+    load(data) {
+        this.seed = (data.seed ?? 0) >>> 0;
+        this.planets = data.planets.map(pd => Planet.deserialize(pd));
+        this.players = data.players.map(pd => Player.fromSerialized(pd));
+        this._reset(data.matchTime || this.matchTime);
+    }
+
+    _reset(matchTime) {
+        this.projectiles = [];
+        this.meteorites = [];
+        this.pickups = [];
+        this.pickupSpawnTimer = 0;
+        this.matchTimer = matchTime;
+        this.gameTime = 0;
+        this.over = false;
+        // Its own stream, so the rolls don't depend on how the map was drawn
+        this.rng = new Random(this.seed ^ 0x5bd1e995);
+        this.gravity.rng = this.rng;
+        this.weapons.rng = this.rng;
+        this.hazards.rng = this.rng;
+        // Entity ids start over with the match too, so they replay as well
+        this.ids = new IdCounter();
+        this.weapons.ids = this.ids;
+        this.hazards.ids = this.ids;
+        this.hazards.reset();
+        if (this.collision.lagCompensation) this.collision.lagCompensation.clear();
+    }
+
+    startData() {
+        return {
+            planets: this.planets.map(p => p.serialize()),
+            players: this.players.map(p => p.serialize()),
+            matchTime: this.matchTimer,
+            seed: this.seed
+        };
+    }
+
+    /**
+     * Advance the match by `dt` seconds. `inputs` maps player id to that
+     * player's input for this tick; players without one stand still.
+     * Returns the events (kills, hits, pickups, impacts) of this tick.
+     */
+    step(inputs, dt) {
+        if (this.over) return [];
+        this.gameTime += dt;
+        this.matchTimer -= dt;
+
+        for (const player of this.players) {
+            const input = inputs.get(player.id);
+            if (input) this._applyInput(player, input);
+        }
+
+        // Gravity for players FIRST (before timers, so jumpGraceTimer is still active)
+        this.gravity.update(this.players.filter(p => p.alive), this.planets, dt);
+
+        // THEN timers (cooldowns, invulnerability, jumpGraceTimer, etc.)
+        for (const player of this.players) {
+            player.updateTimers(dt);
+        }
+
+        this.collision.indexPlanets(this.planets);
+        for (const proj of this.projectiles) {
+            if (!proj.active) continue;
+            this._pull(proj, dt, 1);
+            proj.update(dt);
+        }
+        for (const met of this.meteorites) {
+            if (!met.active) continue;
+            this._pull(met, dt, 0.5);
+            met.update(dt);
+        }
+
+        const events = [];
+        this._updatePickups(dt, events);
+
+        this.hazards.update(dt, this.meteorites, this.planets);
+        events.push(...this.collision.update(
+            this.players, this.projectiles, this.meteorites,
+            this.planets, this.particles
+        ));
+
+        this._updateDeaths(events);
+        this.over = this._matchOver();
+        return events;
+    }
+
+    /**
+     * Movement, aim and shooting for one player
+     */
+    _applyInput(player, input) {
+        if (!player.alive) return;
+
+        if (this.gravity.applyInput(player, input, this.planets) && this.particles) {
+            this.particles.jumpDust(player.x, player.y, player.surfaceAngle);
+        }
+
+        // Continuous aim tracking (arm direction toward mouse/touch)
+        if (input.aimTarget) this._aim(player, input.aimTarget.x, input.aimTarget.y);
+
+        if (input.shootTarget) {
+            const { x, y } = input.shootTarget;
+            this._aim(player, x, y);
+
+            const newProjs = this.weapons.fire(player, x, y, this.particles);
+            const lagComp = this.collision.lagCompensation;
+            if (lagComp && input.view) {
+                const rewindTicks = lagComp.rewindTicksFor(input.view);
+                for (const proj of newProjs) proj.rewindTicks = rewindTicks;
+            }
+            this.projectiles.push(...newProjs);
+        }
+    }
+
+    /**
+     * Point a player's arm at a world position
+     */
+    _aim(player, worldX, worldY) {
+        const worldAngle = Math.atan2(worldY - player.y, worldX - player.x);
+        // Convert to player's local frame (renderer rotates by surfaceAngle + PI/2)
+        player.aimAngle = worldAngle - player.surfaceAngle - Math.PI / 2;
+        // Flip facing based on aim
+        if (Math.cos(player.aimAngle) < 0 && !player.facingLeft) player.facingLeft = true;
+        if (Math.cos(player.aimAngle) > 0 && player.facingLeft) player.facingLeft = false;
+    }
+
+    /**
+     * Planet gravity on something without a surface to stand on
+     */
+    _pull(body, dt, scale) {
+        for (const planet of this.collision.planetsPulling(body.x, body.y)) {
+            const dx = planet.x - body.x, dy = planet.y - body.y;
+            if (dx * dx + dy * dy < planet.gravityRange * planet.gravityRange) {
+                Physics.gravityAccelInto(body.x, body.y, planet, pull);
+                body.vx += pull.x * dt * scale;
+                body.vy += pull.y * dt * scale;
+            }
+        }
+    }
+
+    _updatePickups(dt, events) {
+        for (const pickup of this.pickups) {
+            pickup.update(dt);
+        }
+
+        this.pickupSpawnTimer -= dt;
+        if (this.pickupSpawnTimer <= 0) {
+            this.pickupSpawnTimer = this.pickupInterval;
+            if (this.pickups.filter(p => p.active).length < this.maxPickups) this._spawnPickup();
+        }
+
+        for (const player of this.players) {
+            if (!player.alive) continue;
+            for (const pickup of this.pickups) {
+                if (!pickup.active) continue;
+                const dist = Math.sqrt((player.x - pickup.x) ** 2 + (player.y - pickup.y) ** 2);
+                if (dist < player.radius + pickup.radius) {
+                    pickup.active = false;
+                    this._applyPickup(player, pickup);
+                    events.push({
+                        type: 'pickup',
+                        playerId: player.id,
+                        pickupId: pickup.id,
+                        pickupType: pickup.typeKey,
+                        x: pickup.x,
+                        y: pickup.y
+                    });
+                }
+            }
+        }
+
+        this.pickups = this.pickups.filter(p => p.active);
+    }
+
+    _spawnPickup() {
+        const planet = this.rng.pick(this.planets);
+        const angle = this.rng.next() * Math.PI * 2;
+        const pos = planet.getSurfacePoint(angle);
+        const type = this.rng.pick(PICKUP_KINDS);
+        // Slightly above the surface
+        const dir = new Vec2(pos.x - planet.x, pos.y - planet.y).normalize();
+        const spawnX = planet.x + dir.x * (planet.radius + 30);
+        const spawnY = planet.y + dir.y * (planet.radius + 30);
+        const pickup = new Pickup(spawnX, spawnY, type);
+        pickup.id = this.ids.next();
+        this.pickups.push(pickup);
+    }
+
+    _applyPickup(player, pickup) {
+        if (pickup.typeKey === 'HEALTH') {
+            player.health = Math.min(player.maxHealth, player.health + 40);
+            if (this.particles) this.particles.explosion(pickup.x, pickup.y, '#00ff88', 15);
+        } else {
+            // Weapon pickups
+            player.currentWeapon = pickup.typeKey;
+            if (this.particles) this.particles.explosion(pickup.x, pickup.y, pickup.type.color, 15);
+        }
+    }
+
+    /**
+     * The void claims stragglers; the dead respawn once their timer runs out
+     */
+    _updateDeaths(events) {
+        for (const player of this.players) {
+            if (player.alive && Math.sqrt(player.x * player.x + player.y * player.y) > VOID_RADIUS) {
+                player.takeDamage(9999, 'void');
+                events.push({
+                    type: 'kill',
+                    killerId: '__void',
+                    victimId: player.id,
+                    killerName: 'The Void',
+                    victimName: player.name
+                });
+            }
+
+            if (!player.alive && player.respawnTimer <= 0) {
+                const planetIdx = this.planets.length > 1 ? 1 + (player.index % (this.planets.length - 1)) : 0;
+                player.spawn(this.planets[planetIdx], this.rng.next() * Math.PI * 2);
+            }
+        }
+    }
+
+    _matchOver() {
+        return this.matchTimer <= 0 || this.players.some(p => p.kills >= this.killTarget);
+    }
+
+    /**
+     * What clients need every snapshot
+     */
+    serialize() {
+        return {
+            players: this.players.map(p => p.serialize()),
+            projectiles: this.projectiles.map(p => p.serializeUpdate()),
+            meteorites: this.meteorites.map(m => m.serializeUpdate()),
+            timer: Math.round(this.matchTimer * 10) / 10,
+            time: Math.round(this.gameTime * 10) / 10
+        };
+    }
+
+    /**
+     * Final standings, as shown on the results screen
+     */
+    rankings() {
+        return this.players.map(p => ({
+            name: p.name,
+            color: p.color,
+            cosmetic: p.cosmetic,
+            kills: p.kills,
+            deaths: p.deaths,
+            shotsFired: p.shotsFired,
+            shotsHit: p.shotsHit,
+            damageDealt: p.damageDealt
+        }));
+    }
+}
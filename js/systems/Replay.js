@@ -0,0 +1,314 @@
+// =============================================
+// Replay.js — Record a match and play it back, no DOM
+// =============================================
+
+import { Player } from '../entities/Player.js';
+import { Projectile } from '../entities/Projectile.js';
+import { Meteorite } from '../entities/Meteorite.js';
+import { Pickup } from '../entities/Pickup.js';
+import { interpolateState } from '../network/ClientState.js';
+
+export const REPLAY_FORMAT = 'ipvp-replay';
+export const REPLAY_VERSION = 1;
+
+/**
+ * Everything on screen at `time`, as one frame of a recording
+ */
+function captureFrame(world, time) {
+    const active = list => list.filter(e => e.active !== false).map(e => e.serialize());
+    return {
+        t: Math.round(time * 1000) / 1000,
+        timer: Math.round(world.matchTimer * 10) / 10,
+        players: world.players.map(p => p.serialize()),
+        projectiles: active(world.projectiles),
+        meteorites: active(world.meteorites),
+        pickups: active(world.pickups)
+    };
+}
+
+/**
+ * Counts match time and says when the next frame is due
+ */
+class FrameClock {
+    constructor(rate) {
+        this.rate = rate;
+        this.time = 0;
+        this._next = 0;
+    }
+
+    tick(dt) {
+        this.time += dt;
+        // A hair of slack, or float error skips the tick a frame is due on
+        if (this.time + 1e-6 < this._next) return false;
+        this._next = Math.max(this._next + 1 / this.rate, this.time);
+        return true;
+    }
+
+    reset() {
+        this.time = 0;
+        this._next = 0;
+    }
+}
+
+/**
+ * Records what was on screen: the start data, then full state frames a few
+ * times a second plus the events between them. Clients only ever see state,
+ * never the host's inputs, so this works the same on both sides, and any
+ * moment can be shown by jumping to its frame. A recording is plain JSON:
+ *
+ *   { format, version, recordedAt, rate, start, frames: [{ t, timer,
+ *     players, projectiles, meteorites, pickups }], events: [{ t, e }],
+ *     rankings }
+ */
+export class ReplayRecorder {
+    constructor(options = {}) {
+        this.rate = options.rate ?? 20;         // Frames per second of match time
+        this.maxDuration = options.maxDuration ?? 15 * 60; // Seconds; recording stops after this
+        this.recording = null;  // The last match, while recording and after it ends
+        this.active = false;
+        this._clock = new FrameClock(this.rate);
+    }
+
+    /**
+     * Start recording a match from its start data (MatchSimulation.startData)
+     */
+    start(startData) {
+        this.recording = {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            recordedAt: new Date().toISOString(),
+            rate: this.rate,
+            start: startData,
+            frames: [],
+            events: [],
+            rankings: null
+        };
+        this.active = true;
+        this._clock.reset();
+    }
+
+    /**
+     * Call every tick with the world as shown (a MatchSimulation, or anything
+     * holding the same lists); keeps a frame whenever one is due
+     */
+    capture(world, dt) {
+        if (!this.active || !this._clock.tick(dt)) return;
+        if (this._clock.time > this.maxDuration) {
+            this.active = false;
+            return;
+        }
+        this.recording.frames.push(captureFrame(world, this._clock.time));
+    }
+
+    addEvent(event) {
+        if (!this.active) return;
+        this.recording.events.push({ t: Math.round(this._clock.time * 1000) / 1000, e: event });
+    }
+
+    /**
+     * Stop at the end of the match. Returns the recording, or null if
+     * nothing was recorded.
+     */
+    finish(rankings = null) {
+        if (this.recording && !this.recording.rankings) this.recording.rankings = rankings;
+        this.active = false;
+        return this.hasReplay() ? this.recording : null;
+    }
+
+    hasReplay() {
+        return !!this.recording && this.recording.frames.length > 1;
+    }
+
+    stop() {
+        this.active = false;
+        this.recording = null;
+    }
+}
+
+/**
+ * The last few seconds of frames, for the killcam: recorded like a match,
+ * but old frames fall off the back
+ */
+export class ReplayBuffer {
+    constructor(options = {}) {
+        this.seconds = options.seconds ?? 3;
+        this.rate = options.rate ?? 30;
+        this.frames = [];
+        this._clock = new FrameClock(this.rate);
+    }
+
+    capture(world, dt) {
+        if (!this._clock.tick(dt)) return;
+        this.frames.push(captureFrame(world, this._clock.time));
+        while (this.frames[0].t < this._clock.time - this.seconds) this.frames.shift();
+    }
+
+    /**
+     * The last `seconds` as a recording a ReplayPlayer can play (no events)
+     */
+    clip(seconds = this.seconds) {
+        const from = this._clock.time - seconds;
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            rate: this.rate,
+            start: null,
+            frames: this.frames.filter(f => f.t >= from),
+            events: []
+        };
+    }
+
+    clear() {
+        this.frames = [];
+        this._clock.reset();
+    }
+}
+
+/**
+ * Where each of `ownerId`'s projectiles went during `recording`:
+ * Map projectile id -> [{ t, x, y }]
+ */
+export function projectilePaths(recording, ownerId) {
+    const paths = new Map();
+    for (const frame of recording.frames) {
+        for (const proj of frame.projectiles) {
+            if (proj.o !== ownerId) continue;
+            if (!paths.has(proj.id)) paths.set(proj.id, []);
+            paths.get(proj.id).push({ t: frame.t, x: proj.x, y: proj.y });
+        }
+    }
+    return paths;
+}
+
+/**
+ * Plays a recording back onto a world (a MatchSimulation loaded with its
+ * start data): `update` moves the clock and returns the events passed on
+ * the way, `applyTo` fills the world's lists for the current time.
+ * Throws if `recording` isn't one.
+ */
+export class ReplayPlayer {
+    constructor(recording) {
+        if (!recording || recording.format !== REPLAY_FORMAT || !Array.isArray(recording.frames)) {
+            throw new Error('That isn\'t a replay file.');
+        }
+        if (recording.version > REPLAY_VERSION) {
+            throw new Error('That replay is from a newer version of the game.');
+        }
+        if (recording.frames.length < 2) throw new Error('That replay is empty.');
+
+        this.recording = recording;
+        this.frames = recording.frames;
+        this.events = recording.events || [];
+        this.startTime = this.frames[0].t;
+        this.duration = this.frames[this.frames.length - 1].t;
+        this.time = this.startTime;
+        this.speed = 1;
+        this.playing = true;
+        this.jumped = false;    // Seeked since the last update: effects in flight are stale
+
+        this._eventIndex = 0;
+        this._frameIndex = 0;
+        // Entities persist between frames, so renderers see the same objects
+        this._entities = { players: new Map(), projectiles: new Map(), meteorites: new Map(), pickups: new Map() };
+    }
+
+    /**
+     * Advance by `dt` seconds of real time. Returns the recorded events
+     * that happened along the way.
+     */
+    update(dt) {
+        this.jumped = false;
+        if (!this.playing) return [];
+
+        this.time = Math.min(this.duration, this.time + dt * this.speed);
+        if (this.time >= this.duration) this.playing = false;
+
+        const events = [];
+        while (this._eventIndex < this.events.length && this.events[this._eventIndex].t <= this.time) {
+            events.push(this.events[this._eventIndex++].e);
+        }
+        return events;
+    }
+
+    /**
+     * Jump to `time` (seconds into the recording). Events in between are
+     * skipped, not replayed.
+     */
+    seek(time) {
+        this.time = Math.max(this.startTime, Math.min(this.duration, time));
+        this._eventIndex = this._firstIndex(this.events, this.time);
+        this.jumped = true;
+    }
+
+    togglePlay() {
+        // Play from the start again once it's over
+        if (!this.playing && this.time >= this.duration) this.seek(0);
+        this.playing = !this.playing;
+    }
+
+    /**
+     * Fill `world` (players, projectiles, meteorites, pickups, matchTimer,
+     * gameTime) with the recording at the current time
+     */
+    applyTo(world) {
+        const state = this._stateAt(this.time);
+        world.players = this._sync('players', state.players, data => Player.fromSerialized(data));
+        world.projectiles = this._sync('projectiles', state.projectiles, data => Projectile.fromSerialized(data));
+        world.meteorites = this._sync('meteorites', state.meteorites, data => Meteorite.fromSerialized(data));
+        world.pickups = this._sync('pickups', state.pickups, data => Pickup.fromSerialized(data));
+        world.matchTimer = state.timer;
+        world.gameTime = this.time;
+    }
+
+    _stateAt(time) {
+        // Playback mostly moves forward a little, so search from the last frame used
+        let i = this._frameIndex;
+        if (this.frames[i].t > time) i = 0;
+        while (i < this.frames.length - 2 && this.frames[i + 1].t <= time) i++;
+        this._frameIndex = i;
+
+        const from = this.frames[i];
+        const to = this.frames[i + 1];
+        const span = to.t - from.t;
+        const t = span > 0 ? Math.max(0, Math.min(1, (time - from.t) / span)) : 1;
+        return t > 0 ? interpolateState(from, to, t) : from;
+    }
+
+    /**
+     * Update the entities kept for `key` to match `list`; new ones are
+     * created, missing ones dropped
+     */
+    _sync(key, list, create) {
+        const entities = this._entities[key];
+        const seen = new Set();
+        const result = (list || []).map(data => {
+            seen.add(data.id);
+            let entity = entities.get(data.id);
+            if (!entity) {
+                entity = create(data);
+                entities.set(data.id, entity);
+            } else if (entity.applyState) {
+                entity.applyState(data);
+            }
+            return entity;
+        });
+        for (const id of entities.keys()) {
+            if (!seen.has(id)) entities.delete(id);
+        }
+        return result;
+    }
+
+    /**
+     * Index of the first entry of `list` (sorted by t) after `time`
+     */
+    _firstIndex(list, time) {
+        let lo = 0;
+        let hi = list.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (list[mid].t <= time) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+}
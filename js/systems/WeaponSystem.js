@@ -3,6 +3,8 @@
 // =============================================
 
 import { Vec2 } from '../engine/Physics.js';
+import { Random } from '../engine/Random.js';
+import { IdCounter } from '../engine/IdCounter.js';
 import { Projectile } from '../entities/Projectile.js';
 
 export class WeaponSystem {
@@ -11,6 +13,8 @@ export class WeaponSystem {
         this.spreadAngle = Math.PI / 4; // 45 degrees total spread (wider)
         this.pelletSpeed = 1200; // much faster bullets to combat gravity
         this.muzzleOffset = 30; // slightly further out
+        this.rng = new Random(); // The match's generator once a simulation owns this
+        this.ids = new IdCounter(); // Likewise its entity ids
     }
 
     fire(player, targetX, targetY, particles) {
@@ -73,13 +77,14 @@ export class WeaponSystem {
             const angle = baseAngle - halfSpread + spreadAngle * t;
 
             // Add slight random variation
-            const finalAngle = angle + (Math.random() - 0.5) * 0.05;
-            const speed = pelletSpeed + (Math.random() - 0.5) * 50;
+            const finalAngle = angle + (this.rng.next() - 0.5) * 0.05;
+            const speed = pelletSpeed + (this.rng.next() - 0.5) * 50;
 
             const vx = Math.cos(finalAngle) * speed;
             const vy = Math.sin(finalAngle) * speed;
 
             const proj = new Projectile(muzzleX, muzzleY, vx, vy, player.id, pColor);
+            proj.id = this.ids.next();
             proj.damage = damage;
             proj.radius = radius;
             proj.lifetime = lifetime;
@@ -0,0 +1,132 @@
+// =============================================
+// ChatPanel.js — Lobby chat, in-game chat log and the emote wheel
+// =============================================
+
+import { EMOTES, CHAT_MAX_LENGTH } from '../network/Chat.js';
+
+/**
+ * One chat, three places to see it: the lobby panel (full history), the
+ * in-game log (recent lines that fade out) and bubbles over astronauts
+ * (drawn by the Renderer). In game, Enter opens the text box and the 💬
+ * button opens a wheel of quick-chat emotes for touch players.
+ */
+export class ChatPanel {
+    constructor() {
+        this.lobbyLog = document.getElementById('chat-log-lobby');
+        this.lobbyInput = document.getElementById('chat-input-lobby');
+        this.hudLog = document.getElementById('chat-log-hud');
+        this.hudInput = document.getElementById('chat-input-hud');
+        this.emoteBtn = document.getElementById('btn-emote');
+        this.emoteWheel = document.getElementById('emote-wheel');
+        this.hudEl = document.getElementById('hud');
+
+        this.maxLobbyLines = 50;
+        this.maxHudLines = 5;
+        this.hudLineLife = 8000;   // ms a line stays in the in-game log
+        this.onSend = null;        // ({ text } | { emote })
+
+        for (const input of [this.lobbyInput, this.hudInput]) input.maxLength = CHAT_MAX_LENGTH;
+        this._bind();
+        this._buildWheel();
+    }
+
+    _bind() {
+        this.lobbyInput.addEventListener('keydown', (e) => {
+            // Typing shouldn't also steer the astronaut
+            e.stopPropagation();
+            if (e.key === 'Enter') this._submit(this.lobbyInput);
+        });
+        this.hudInput.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                this._submit(this.hudInput);
+                this._closeHudInput();
+            } else if (e.key === 'Escape') {
+                this._closeHudInput();
+            }
+        });
+        this.hudInput.addEventListener('blur', () => this._closeHudInput());
+
+        window.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || !this.hudEl.classList.contains('active')) return;
+            if (document.activeElement === this.hudInput) return;
+            e.preventDefault();
+            this.hudInput.classList.remove('hidden');
+            this.hudInput.focus();
+        });
+
+        this.emoteBtn.addEventListener('click', () => {
+            this.emoteWheel.classList.toggle('hidden');
+        });
+    }
+
+    _buildWheel() {
+        const keys = Object.keys(EMOTES);
+        keys.forEach((key, i) => {
+            const btn = document.createElement('button');
+            btn.className = 'emote-option';
+            btn.textContent = EMOTES[key].icon;
+            btn.title = EMOTES[key].text;
+            // Fan the emotes out in a circle around the wheel's centre
+            const angle = (i / keys.length) * Math.PI * 2 - Math.PI / 2;
+            btn.style.transform = `translate(${Math.cos(angle) * 62}px, ${Math.sin(angle) * 62}px)`;
+            btn.addEventListener('click', () => {
+                this.emoteWheel.classList.add('hidden');
+                if (this.onSend) this.onSend({ emote: key });
+            });
+            this.emoteWheel.appendChild(btn);
+        });
+    }
+
+    _submit(input) {
+        const text = input.value.trim();
+        input.value = '';
+        if (text && this.onSend) this.onSend({ text });
+    }
+
+    _closeHudInput() {
+        this.hudInput.value = '';
+        this.hudInput.classList.add('hidden');
+        this.hudInput.blur();
+    }
+
+    /**
+     * Show a message from the host ({ name, color, text | emote, system })
+     */
+    add(message) {
+        this._append(this.lobbyLog, this._line(message), this.maxLobbyLines);
+        this.lobbyLog.scrollTop = this.lobbyLog.scrollHeight;
+
+        const line = this._line(message);
+        this._append(this.hudLog, line, this.maxHudLines);
+        setTimeout(() => line.classList.add('fading'), this.hudLineLife);
+        setTimeout(() => line.remove(), this.hudLineLife + 600);
+    }
+
+    _line(message) {
+        const line = document.createElement('div');
+        line.className = 'chat-line' + (message.system ? ' system' : '');
+        if (!message.system) {
+            const name = document.createElement('span');
+            name.className = 'chat-name';
+            name.textContent = `${message.name}: `;
+            if (message.color) name.style.color = message.color;
+            line.appendChild(name);
+        }
+        const emote = message.emote && EMOTES[message.emote];
+        line.appendChild(document.createTextNode(emote ? `${emote.icon} ${emote.text}` : message.text));
+        return line;
+    }
+
+    _append(log, line, max) {
+        log.appendChild(line);
+        while (log.children.length > max) log.firstElementChild.remove();
+    }
+
+    clear() {
+        this.lobbyLog.innerHTML = '';
+        this.hudLog.innerHTML = '';
+        this.emoteWheel.classList.add('hidden');
+        this._closeHudInput();
+    }
+}
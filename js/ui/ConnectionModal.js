@@ -0,0 +1,92 @@
+// =============================================
+// ConnectionModal.js — "Connection lost" and other can't-play dialogs
+// =============================================
+
+/**
+ * What to tell the player about a failed or dropped connection. `err` is a
+ * transport error, a host's rejection (type 'rejected' with a `reason`), or
+ * { type: 'lost' } / { type: 'host-left' } for links that closed.
+ * Returns { title, message, retry, autoRetry, reload }.
+ */
+export function describeConnectionProblem(err) {
+    if (err.type === 'rejected') {
+        switch (err.reason) {
+            case 'full':
+                return { title: 'ROOM FULL', message: err.message, retry: true };
+            case 'version':
+                return { title: 'VERSION MISMATCH', message: err.message, retry: true, reload: true };
+            case 'kicked':
+                return { title: 'REMOVED FROM ROOM', message: err.message, retry: true };
+            case 'banned':
+                return { title: 'BANNED', message: err.message, retry: false };
+            default:
+                return { title: 'CAN\'T JOIN', message: err.message, retry: true };
+        }
+    }
+    switch (err.type) {
+        case 'host-left':
+            return { title: 'HOST LEFT', message: 'The host closed the room.', retry: true };
+        case 'peer-unavailable':
+            return { title: 'ROOM NOT FOUND', message: 'No room with that code. Check the code.', retry: true };
+        case 'browser-incompatible':
+            return { title: 'NOT SUPPORTED', message: 'This browser can\'t connect to other players.', retry: false };
+        case 'network':
+            return {
+                title: 'CONNECTION LOST',
+                message: 'Network unreachable. Check your internet.',
+                retry: true,
+                autoRetry: true
+            };
+        default:
+            return { title: 'CONNECTION LOST', message: 'Lost connection to the host.', retry: true, autoRetry: true };
+    }
+}
+
+/**
+ * Sits over every screen until the player retries or goes back to the
+ * menu. The detail line shows reconnect progress.
+ */
+export class ConnectionModal {
+    constructor() {
+        this.el = document.getElementById('connection-modal');
+        this.titleEl = document.getElementById('connection-title');
+        this.messageEl = document.getElementById('connection-message');
+        this.detailEl = document.getElementById('connection-detail');
+        this.btnRetry = document.getElementById('btn-connection-retry');
+        this.btnMenu = document.getElementById('btn-connection-menu');
+
+        this.onRetry = null;
+        this.onMenu = null;
+
+        this.btnRetry.addEventListener('click', () => {
+            if (this.onRetry) this.onRetry();
+        });
+        this.btnMenu.addEventListener('click', () => {
+            if (this.onMenu) this.onMenu();
+        });
+    }
+
+    get visible() {
+        return !this.el.classList.contains('hidden');
+    }
+
+    /**
+     * `retry` shows the retry button, labelled `retryLabel`
+     */
+    show(title, message, { retry = true, retryLabel = 'RETRY' } = {}) {
+        this.titleEl.textContent = title;
+        this.messageEl.textContent = message;
+        this.detailEl.textContent = '';
+        this.btnRetry.textContent = retryLabel;
+        this.btnRetry.classList.toggle('hidden', !retry);
+        this.el.classList.remove('hidden');
+    }
+
+    setDetail(text) {
+        this.detailEl.textContent = text;
+    }
+
+    hide() {
+        this.el.classList.add('hidden');
+    }
+}
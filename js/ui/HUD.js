@@ -2,6 +2,9 @@
 // HUD.js — In-game heads-up display
 // =============================================
 
+import { COSMETICS } from '../entities/Player.js';
+import { PICKUP_TYPES } from '../entities/Pickup.js';
+
 export class HUD {
     constructor() {
         this.timerEl = document.getElementById('match-timer');
@@ -9,6 +12,23 @@ export class HUD {
         this.killFeedEl = document.getElementById('kill-feed');
         this.killFeedEntries = [];
         this.maxKillFeed = 5;
+        this.cards = new Map(); // playerId -> { root, name, hpFill, kills, status, link, kick }
+        this.flags = new Map(); // playerId -> why the host's input guard flagged them
+        this.onKick = null;     // (playerId) — host only
+
+        // Spectator camera toggle
+        this.spectatorBar = document.getElementById('spectator-bar');
+        this.spectatorModeBtn = document.getElementById('btn-spectator-mode');
+        this.onToggleSpectatorMode = null;
+        this.spectatorModeBtn.addEventListener('click', () => {
+            if (this.onToggleSpectatorMode) this.onToggleSpectatorMode();
+        });
+
+        // Killcam banner: who got us, with what, and how hurt they are
+        this.killcamEl = document.getElementById('killcam');
+        this.killcamName = document.getElementById('killcam-name');
+        this.killcamWeapon = document.getElementById('killcam-weapon');
+        this.killcamHp = document.getElementById('killcam-hp-fill');
     }
 
     /**
@@ -30,48 +50,112 @@ export class HUD {
     }
 
     /**
-     * Update player info cards
+     * Update player info cards. Cards are kept per player and updated in place.
+     * `links` (playerId -> { rtt, q }) adds signal bars for remote players.
      */
-    updatePlayers(players) {
-        this.playerInfoEl.innerHTML = '';
-
+    updatePlayers(players, links = null) {
+        const seen = new Set();
         for (const player of players) {
-            const card = document.createElement('div');
-            card.className = 'hud-card';
-            card.style.borderColor = player.color + '40';
-
-            const name = document.createElement('div');
-            name.className = 'hud-name';
-            name.textContent = player.name;
-            name.style.color = player.color;
-
-            const hpBar = document.createElement('div');
-            hpBar.className = 'hud-hp-bar';
-            const hpFill = document.createElement('div');
-            hpFill.className = 'hud-hp-fill';
-            const hpPct = player.alive ? (player.health / player.maxHealth * 100) : 0;
-            hpFill.style.width = hpPct + '%';
-            hpFill.style.background = hpPct > 50 ? '#00ff88' : hpPct > 25 ? '#ffaa00' : '#ff3366';
-            hpBar.appendChild(hpFill);
-
-            const kills = document.createElement('div');
-            kills.className = 'hud-kills';
-            kills.textContent = `☠ ${player.kills}`;
-
-            card.appendChild(name);
-            card.appendChild(hpBar);
-            card.appendChild(kills);
-            this.playerInfoEl.appendChild(card);
+            seen.add(player.id);
+            let card = this.cards.get(player.id);
+            if (!card) {
+                card = this._createCard(player.id);
+                this.cards.set(player.id, card);
+                this.playerInfoEl.appendChild(card.root);
+            }
+            this._updateCard(card, player, links && links.get(player.id));
         }
+
+        for (const [id, card] of this.cards) {
+            if (seen.has(id)) continue;
+            card.root.remove();
+            this.cards.delete(id);
+        }
+    }
+
+    _createCard(playerId) {
+        const root = document.createElement('div');
+        root.className = 'hud-card';
+
+        const name = document.createElement('div');
+        name.className = 'hud-name';
+
+        const link = document.createElement('span');
+        link.className = 'link-bars hidden';
+        for (let i = 0; i < 3; i++) link.appendChild(document.createElement('i'));
+
+        const hpBar = document.createElement('div');
+        hpBar.className = 'hud-hp-bar';
+        const hpFill = document.createElement('div');
+        hpFill.className = 'hud-hp-fill';
+        hpBar.appendChild(hpFill);
+
+        const kills = document.createElement('div');
+        kills.className = 'hud-kills';
+
+        const status = document.createElement('div');
+        status.className = 'hud-status';
+
+        const kick = document.createElement('button');
+        kick.className = 'hud-kick hidden';
+        kick.textContent = 'KICK';
+        kick.addEventListener('click', () => {
+            if (this.onKick) this.onKick(playerId);
+        });
+
+        root.appendChild(link);
+        root.appendChild(name);
+        root.appendChild(hpBar);
+        root.appendChild(kills);
+        root.appendChild(status);
+        root.appendChild(kick);
+        return { root, name, hpFill, kills, status, link, kick };
+    }
+
+    _updateCard(card, player, link) {
+        card.root.style.borderColor = player.color + '40';
+        card.root.classList.toggle('reconnecting', !!player.reconnecting);
+
+        const icon = COSMETICS[player.cosmetic]?.icon;
+        card.name.textContent = icon ? `${icon} ${player.name}` : player.name;
+        card.name.style.color = player.color;
+
+        const hpPct = player.alive ? (player.health / player.maxHealth * 100) : 0;
+        card.hpFill.style.width = hpPct + '%';
+        card.hpFill.style.background = hpPct > 50 ? '#00ff88' : hpPct > 25 ? '#ffaa00' : '#ff3366';
+
+        card.kills.textContent = `☠ ${player.kills}`;
+        const flag = this.flags.get(player.id);
+        card.root.classList.toggle('flagged', !!flag);
+        card.kick.classList.toggle('hidden', !flag);
+        card.status.textContent = player.reconnecting ? 'reconnecting…' : flag ? `⚠ ${flag}` : '';
+
+        card.link.classList.toggle('hidden', !link);
+        if (link && card.link.dataset.q !== link.q) card.link.dataset.q = link.q;
+        if (link) card.link.title = `${Math.round(link.rtt)} ms`;
+    }
+
+    /**
+     * Host: mark a player's card as suspicious and offer to kick them
+     */
+    flagPlayer(playerId, reason) {
+        this.flags.set(playerId, reason);
     }
 
     /**
-     * Add kill feed entry
+     * Add kill feed entry. Names are player-chosen, so they only ever go in as text.
      */
-    addKillFeed(killerName, victimName, killerColor = '#fff') {
+    addKillFeed(killerName, victimName, killerColor = '#fff', victimColor = null) {
         const entry = document.createElement('div');
         entry.className = 'kill-entry';
-        entry.innerHTML = `<span style="color:${killerColor}">${killerName}</span> ☠ ${victimName}`;
+
+        const killer = document.createElement('span');
+        killer.textContent = killerName;
+        killer.style.color = killerColor;
+        const victim = document.createElement('span');
+        victim.textContent = victimName;
+        if (victimColor) victim.style.color = victimColor;
+        entry.append(killer, ' ☠ ', victim);
 
         this.killFeedEl.appendChild(entry);
         this.killFeedEntries.push(entry);
@@ -112,9 +196,38 @@ export class HUD {
         }, 3000);
     }
 
+    showSpectatorBar(visible) {
+        this.spectatorBar.classList.toggle('hidden', !visible);
+    }
+
+    setSpectatorMode(mode) {
+        this.spectatorModeBtn.textContent = mode === 'free' ? 'FREE CAM' : 'DIRECTOR';
+    }
+
+    /**
+     * `killer` is { name, color, weapon (weapon key), health, maxHealth }
+     */
+    showKillcam(killer) {
+        this.killcamName.textContent = killer.name;
+        this.killcamName.style.color = killer.color;
+        const weapon = PICKUP_TYPES[killer.weapon];
+        this.killcamWeapon.textContent = weapon ? `${weapon.icon} ${weapon.name}` : '';
+        const hp = Math.max(0, killer.health / killer.maxHealth);
+        this.killcamHp.style.width = `${hp * 100}%`;
+        this.killcamHp.style.background = hp > 0.5 ? '#00ff88' : hp > 0.25 ? '#ffaa00' : '#ff3366';
+        this.killcamEl.classList.remove('hidden');
+    }
+
+    hideKillcam() {
+        this.killcamEl.classList.add('hidden');
+    }
+
     clear() {
+        this.hideKillcam();
         this.killFeedEl.innerHTML = '';
         this.killFeedEntries = [];
         this.playerInfoEl.innerHTML = '';
+        this.cards.clear();
+        this.flags.clear();
     }
 }
@@ -2,6 +2,23 @@
 // Menu.js — Main menu & lobby UI
 // =============================================
 
+import { PLAYER_COLORS, COSMETICS } from '../entities/Player.js';
+import { drawQR } from './QRCode.js';
+
+/**
+ * Link that opens the game straight into joining `roomCode`. Guests need the
+ * same transport as the host, so those params come along.
+ */
+export function inviteUrl(roomCode, location = window.location) {
+    const url = new URL(location.pathname, location.origin);
+    const current = new URLSearchParams(location.search);
+    for (const key of ['net', 'relay']) {
+        if (current.has(key)) url.searchParams.set(key, current.get(key));
+    }
+    url.searchParams.set('join', roomCode);
+    return url.toString();
+}
+
 export class Menu {
     constructor() {
         this.menuScreen = document.getElementById('menu-screen');
@@ -10,16 +27,47 @@ export class Menu {
         this.roomCodeEl = document.getElementById('room-code');
         this.joinInputArea = document.getElementById('join-input-area');
         this.joinCodeInput = document.getElementById('join-code-input');
+        this.joinPasswordInput = document.getElementById('join-password-input');
+        this.hostControls = document.getElementById('host-controls');
+        this.roomPasswordInput = document.getElementById('room-password-input');
+        this.btnLock = document.getElementById('btn-lock');
+        this.roomLockEl = document.getElementById('room-lock');
+        this.profileName = document.getElementById('profile-name');
+        this.profileColors = document.getElementById('profile-colors');
+        this.profileCosmetic = document.getElementById('profile-cosmetic');
+        this.inviteQR = document.getElementById('invite-qr');
+        this.inviteLink = document.getElementById('invite-link');
+        this.btnCopyInvite = document.getElementById('btn-copy-invite');
+        this.btnShareInvite = document.getElementById('btn-share-invite');
         this.btnConnect = document.getElementById('btn-connect');
         this.btnStart = document.getElementById('btn-start');
+        this.btnReady = document.getElementById('btn-ready');
         this.btnLeave = document.getElementById('btn-leave');
         this.playerListEl = document.getElementById('player-list');
+        this.spectatorListEl = document.getElementById('spectator-list');
+        this.lobbyChat = document.getElementById('lobby-chat');
         this.lobbyStatus = document.getElementById('lobby-status');
+        this.menuStatus = document.getElementById('menu-status');
+        this.replayFileInput = document.getElementById('replay-file');
 
         this.onHost = null;
         this.onJoin = null;
-        this.onStart = null;
+        this.onStart = null;   // Host: start now, ready or not
+        this.onReady = null;   // (ready) — toggle our ready flag
         this.onLeave = null;
+        this.onPromote = null; // (peerId) — host moves a spectator into a free seat
+        this.onKick = null;    // (peerId) — host removes a player or spectator
+        this.onBan = null;     // (peerId) — ...and keeps them out
+        this.onMute = null;    // (peerId) — host silences (or unsilences) someone's chat
+        this.onLockRoom = null;    // (locked)
+        this.onSetPassword = null; // (password)
+        this.onMoveSlot = null;    // (fromIndex, toIndex) — host rearranges seats
+        this.onProfileChange = null; // ({ name, color, cosmetic })
+        this.onOpenReplay = null;    // (file) — a saved replay to watch
+
+        this._ready = false;
+        this._pickedSlot = -1;     // Tap-to-move: seat picked up, waiting for a target
+        this._profile = { name: '', color: null, cosmetic: 'none' };
 
         this._bindEvents();
     }
@@ -33,20 +81,78 @@ export class Menu {
             this._showJoinInput();
         });
 
+        document.getElementById('btn-open-replay').addEventListener('click', () => {
+            this.setMenuStatus('');
+            this.replayFileInput.click();
+        });
+        this.replayFileInput.addEventListener('change', () => {
+            const file = this.replayFileInput.files[0];
+            // Clear it so picking the same file again still fires
+            this.replayFileInput.value = '';
+            if (file && this.onOpenReplay) this.onOpenReplay(file);
+        });
+
         this.btnConnect.addEventListener('click', () => {
             const code = this.joinCodeInput.value.trim().toUpperCase();
             if (code.length === 4 && this.onJoin) {
-                this.onJoin(code);
+                this.onJoin(code, { password: this.joinPasswordInput.value });
+            }
+        });
+
+        document.getElementById('btn-watch').addEventListener('click', () => {
+            const code = this.joinCodeInput.value.trim().toUpperCase();
+            if (code.length === 4 && this.onJoin) {
+                this.onJoin(code, { spectate: true, password: this.joinPasswordInput.value });
             }
         });
 
         this.joinCodeInput.addEventListener('keyup', (e) => {
             if (e.key === 'Enter') this.btnConnect.click();
         });
+        this.joinPasswordInput.addEventListener('keyup', (e) => {
+            if (e.key === 'Enter') this.btnConnect.click();
+        });
+
+        // Profile
+        for (const [key, cosmetic] of Object.entries(COSMETICS)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = cosmetic.icon ? `${cosmetic.icon} ${cosmetic.label}` : cosmetic.label;
+            this.profileCosmetic.appendChild(option);
+        }
+        this.profileName.addEventListener('change', () => {
+            this._changeProfile({ name: this.profileName.value });
+        });
+        this.profileName.addEventListener('keydown', (e) => e.stopPropagation());
+        this.profileCosmetic.addEventListener('change', () => {
+            this._changeProfile({ cosmetic: this.profileCosmetic.value });
+        });
+
+        // Invites
+        this.btnCopyInvite.addEventListener('click', () => this._copyInvite());
+        this.btnShareInvite.addEventListener('click', () => {
+            navigator.share({
+                title: 'Interplanetary PvP',
+                text: `Join my game! Room ${this.roomCodeEl.textContent}`,
+                url: this.inviteLink.value
+            }).catch(() => { /* Share sheet dismissed */ });
+        });
+        this.inviteLink.addEventListener('focus', () => this.inviteLink.select());
+
+        // Host moderation
+        this.btnLock.addEventListener('click', () => {
+            if (this.onLockRoom) this.onLockRoom(!this.btnLock.classList.contains('active'));
+        });
+        this.roomPasswordInput.addEventListener('change', () => {
+            if (this.onSetPassword) this.onSetPassword(this.roomPasswordInput.value);
+        });
 
         this.btnStart.addEventListener('click', () => {
             if (this.onStart) this.onStart();
         });
+        this.btnReady.addEventListener('click', () => {
+            if (this.onReady) this.onReady(!this._ready);
+        });
 
         this.btnLeave.addEventListener('click', () => {
             if (this.onLeave) this.onLeave();
@@ -59,10 +165,60 @@ export class Menu {
         this.joinInputArea.classList.remove('hidden');
         this.roomCodeEl.parentElement.classList.add('hidden');
         this.btnStart.classList.add('hidden');
+        this.btnReady.classList.add('hidden');
+        this.hostControls.classList.add('hidden');
+        this.lobbyChat.classList.add('hidden');
+        this.joinPasswordInput.classList.add('hidden');
+        this.joinPasswordInput.value = '';
         this.lobbyStatus.textContent = 'Enter the room code to join...';
         this.joinCodeInput.focus();
     }
 
+    /**
+     * Opened from an invite link: fill in the code and connect right away
+     */
+    openInvite(roomCode) {
+        this._showJoinInput();
+        this.joinCodeInput.value = roomCode;
+        this.btnConnect.click();
+    }
+
+    /**
+     * Link, QR code and (on phones) the share sheet for the room we're in
+     */
+    _showInvite(roomCode) {
+        const url = inviteUrl(roomCode);
+        this.inviteLink.value = url;
+        this.btnCopyInvite.textContent = 'COPY LINK';
+        this.btnShareInvite.classList.toggle('hidden', typeof navigator.share !== 'function');
+        try {
+            drawQR(this.inviteQR, url);
+            this.inviteQR.classList.remove('hidden');
+        } catch (e) {
+            // URL too long to encode: the link still works
+            this.inviteQR.classList.add('hidden');
+        }
+    }
+
+    _copyInvite() {
+        const done = () => { this.btnCopyInvite.textContent = 'COPIED!'; };
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(this.inviteLink.value).then(done, () => this.inviteLink.select());
+        } else {
+            this.inviteLink.select();
+            if (document.execCommand('copy')) done();
+        }
+    }
+
+    /**
+     * The room turned out to need a password: ask for it
+     */
+    askPassword() {
+        this.joinPasswordInput.classList.remove('hidden');
+        this.joinPasswordInput.select();
+        this.joinPasswordInput.focus();
+    }
+
     showScreen(name) {
         this.menuScreen.classList.remove('active');
         this.lobbyScreen.classList.remove('active');
@@ -89,13 +245,22 @@ export class Menu {
         }
     }
 
-    showHostLobby(roomCode) {
+    /**
+     * `room` ({ locked, password }) fills in the host's moderation controls
+     */
+    showHostLobby(roomCode, room = {}) {
         this.showScreen('lobby');
         this.lobbyTitle.textContent = 'GAME LOBBY';
         this.roomCodeEl.textContent = roomCode;
         this.roomCodeEl.parentElement.classList.remove('hidden');
+        this._showInvite(roomCode);
         this.joinInputArea.classList.add('hidden');
+        this.hostControls.classList.remove('hidden');
         this.btnStart.classList.remove('hidden');
+        this.roomPasswordInput.value = room.password || '';
+        this.setLocked(!!room.locked);
+        this.setReady(false, true);
+        this.lobbyChat.classList.remove('hidden');
         this.lobbyStatus.textContent = 'Waiting for players to join...';
     }
 
@@ -104,41 +269,200 @@ export class Menu {
         this.lobbyTitle.textContent = 'GAME LOBBY';
         this.roomCodeEl.textContent = roomCode;
         this.roomCodeEl.parentElement.classList.remove('hidden');
+        this._showInvite(roomCode);
         this.joinInputArea.classList.add('hidden');
+        this.hostControls.classList.add('hidden');
         this.btnStart.classList.add('hidden');
+        this.setReady(false, true);
+        this.lobbyChat.classList.remove('hidden');
         this.lobbyStatus.textContent = 'Waiting for host to start...';
     }
 
-    updatePlayerList(players) {
+    /**
+     * Our ready toggle. Hidden for spectators, who have nothing to ready.
+     */
+    setReady(ready, visible) {
+        this._ready = ready;
+        this.btnReady.classList.toggle('hidden', !visible);
+        this.btnReady.classList.toggle('active', ready);
+        this.btnReady.textContent = ready ? 'NOT READY' : 'READY';
+    }
+
+    /**
+     * Show whether the room takes new players (lock badge, host's toggle)
+     */
+    setLocked(locked) {
+        this.roomLockEl.classList.toggle('hidden', !locked);
+        this.btnLock.classList.toggle('active', locked);
+        this.btnLock.textContent = locked ? 'UNLOCK ROOM' : 'LOCK ROOM';
+    }
+
+    /**
+     * Seats as { name, color, cosmetic, peerId, ready, muted } or null. The host (`canModerate`)
+     * gets kick/ban/mute buttons for remote players and can drag players between
+     * seats, or tap one seat and then another.
+     */
+    updatePlayerList(players, canModerate = false) {
         this.playerListEl.innerHTML = '';
-        const colors = ['#00d4ff', '#ff6b35', '#00ff88', '#ff3366'];
+        if (!canModerate || !players[this._pickedSlot]) this._pickedSlot = -1;
 
         for (let i = 0; i < 4; i++) {
             const slot = document.createElement('div');
-            slot.className = 'player-slot' + (players[i] ? ' connected' : '');
+            slot.className = 'player-slot' + (players[i] ? ' connected' : '') +
+                (players[i]?.ready ? ' ready' : '') + (i === this._pickedSlot ? ' picked' : '');
 
             const dot = document.createElement('div');
             dot.className = 'player-dot';
-            dot.style.background = colors[i];
+            dot.style.background = players[i]?.color || PLAYER_COLORS[i];
 
             const name = document.createElement('span');
             name.className = 'player-slot-name';
-            name.textContent = players[i]?.name || `Slot ${i + 1}`;
-            name.style.color = players[i] ? colors[i] : 'rgba(150,160,200,0.3)';
+            const icon = players[i] && COSMETICS[players[i].cosmetic]?.icon;
+            name.textContent = !players[i] ? `Slot ${i + 1}` : icon ? `${icon} ${players[i].name}` : players[i].name;
+            name.style.color = players[i] ? players[i].color : 'rgba(150,160,200,0.3)';
 
             const status = document.createElement('span');
             status.className = 'player-slot-status';
-            status.textContent = players[i] ? '● Connected' : 'Empty';
+            status.textContent = !players[i] ? 'Empty' : players[i].ready ? '✔ Ready' : '● Not ready';
 
             slot.appendChild(dot);
             slot.appendChild(name);
             slot.appendChild(status);
+            if (canModerate && players[i]?.peerId) this._appendModeration(slot, players[i].peerId, players[i].muted);
+            if (canModerate) this._makeArrangeable(slot, i, !!players[i]);
             this.playerListEl.appendChild(slot);
         }
     }
 
+    _makeArrangeable(slot, index, occupied) {
+        const move = (from) => {
+            this._pickedSlot = -1;
+            slot.classList.remove('drop-target', 'picked');
+            if (from !== index && this.onMoveSlot) this.onMoveSlot(from, index);
+        };
+
+        slot.draggable = occupied;
+        slot.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', String(index));
+        });
+        slot.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            slot.classList.add('drop-target');
+        });
+        slot.addEventListener('dragleave', () => slot.classList.remove('drop-target'));
+        slot.addEventListener('drop', (e) => {
+            e.preventDefault();
+            move(parseInt(e.dataTransfer.getData('text/plain'), 10));
+        });
+
+        // Touch screens don't drag: tap a player, then the seat to move them to
+        slot.addEventListener('click', (e) => {
+            if (e.target.closest('button')) return;
+            if (this._pickedSlot !== -1) {
+                move(this._pickedSlot);
+            } else if (occupied) {
+                this._pickedSlot = index;
+                slot.classList.add('picked');
+            }
+        });
+    }
+
+    /**
+     * Spectators under the seats. The host gets a promote button per
+     * spectator while a seat is free, and kick/ban/mute buttons with `canModerate`.
+     */
+    updateSpectatorList(spectators, canPromote = false, canModerate = false) {
+        this.spectatorListEl.innerHTML = '';
+        this.spectatorListEl.classList.toggle('hidden', spectators.length === 0);
+        if (spectators.length === 0) return;
+
+        const title = document.createElement('div');
+        title.className = 'spectator-list-title';
+        title.textContent = `👁 SPECTATORS (${spectators.length})`;
+        this.spectatorListEl.appendChild(title);
+
+        for (const spectator of spectators) {
+            const entry = document.createElement('div');
+            entry.className = 'spectator-entry';
+
+            const name = document.createElement('span');
+            name.textContent = spectator.name;
+            entry.appendChild(name);
+
+            if (canPromote) {
+                const btn = document.createElement('button');
+                btn.className = 'btn btn-secondary';
+                btn.textContent = 'PROMOTE';
+                btn.addEventListener('click', () => {
+                    if (this.onPromote) this.onPromote(spectator.peerId);
+                });
+                entry.appendChild(btn);
+            }
+            if (canModerate) this._appendModeration(entry, spectator.peerId, spectator.muted);
+            this.spectatorListEl.appendChild(entry);
+        }
+    }
+
+    _changeProfile(changes) {
+        this._profile = { ...this._profile, ...changes };
+        if (this.onProfileChange) this.onProfileChange(this._profile);
+    }
+
+    /**
+     * Show our profile. `taken` colours belong to other players and can't be picked.
+     */
+    setProfile(profile, taken = []) {
+        this._profile = { ...profile };
+        // Don't fight the user mid-edit
+        if (document.activeElement !== this.profileName) this.profileName.value = profile.name;
+        this.profileCosmetic.value = profile.cosmetic;
+
+        this.profileColors.innerHTML = '';
+        for (const color of PLAYER_COLORS) {
+            const swatch = document.createElement('button');
+            swatch.className = 'profile-color' + (color === profile.color ? ' selected' : '');
+            swatch.style.background = color;
+            swatch.disabled = taken.includes(color);
+            swatch.title = swatch.disabled ? 'Taken' : '';
+            swatch.addEventListener('click', () => this._changeProfile({ color }));
+            this.profileColors.appendChild(swatch);
+        }
+    }
+
+    _appendModeration(row, peerId, muted = false) {
+        const actions = document.createElement('span');
+        actions.className = 'moderation';
+
+        const mute = document.createElement('button');
+        mute.className = 'btn btn-secondary';
+        mute.textContent = muted ? 'UNMUTE' : 'MUTE';
+        mute.addEventListener('click', () => {
+            if (this.onMute) this.onMute(peerId);
+        });
+        actions.appendChild(mute);
+
+        for (const [label, action] of [['KICK', 'onKick'], ['BAN', 'onBan']]) {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-danger';
+            btn.textContent = label;
+            btn.addEventListener('click', () => {
+                if (this[action]) this[action](peerId);
+            });
+            actions.appendChild(btn);
+        }
+        row.appendChild(actions);
+    }
+
     setStatus(text, isError = false) {
         this.lobbyStatus.textContent = text;
         this.lobbyStatus.style.color = isError ? '#ff3366' : '';
     }
+
+    /**
+     * Status line under the main menu buttons
+     */
+    setMenuStatus(text, isError = false) {
+        this.menuStatus.textContent = text;
+        this.menuStatus.style.color = isError ? '#ff3366' : '';
+    }
 }
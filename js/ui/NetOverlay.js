@@ -0,0 +1,157 @@
+// =============================================
+// NetOverlay.js — Network diagnostics graphs (F3 / ?netgraph)
+// =============================================
+
+/**
+ * One graph per metric. `floor` is the smallest top of scale so a quiet
+ * link doesn't look dramatic; `scale` converts the raw value for display.
+ */
+const GRAPHS = [
+    { key: 'rtt', label: 'RTT', unit: 'ms', color: '#00d4ff', floor: 100 },
+    { key: 'jitter', label: 'JITTER', unit: 'ms', color: '#ffaa00', floor: 20 },
+    { key: 'snapshotRate', label: 'SNAPSHOTS', unit: '/s', color: '#00ff88', floor: 60 },
+    { key: 'bytesIn', label: 'IN', unit: 'KB/s', color: '#b388ff', floor: 10, scale: 1 / 1024 },
+    { key: 'bytesOut', label: 'OUT', unit: 'KB/s', color: '#ff6b35', floor: 10, scale: 1 / 1024 },
+    { key: 'buffer', label: 'BUFFER', unit: 'ms', color: '#ff3366', floor: 100 }
+];
+
+const ROW_HEIGHT = 36;
+
+export class NetOverlay {
+    constructor() {
+        this.el = document.getElementById('net-overlay');
+        this.canvas = document.getElementById('net-graph');
+        this.ctx = this.canvas.getContext('2d');
+        this.peersEl = document.getElementById('net-peers');
+        this.toggleBtn = document.getElementById('btn-net-overlay');
+
+        this.sampleRate = 10;      // Samples per second
+        this.historyLength = 150;  // 15 s of history per graph
+        this.series = new Map(GRAPHS.map(g => [g.key, []]));
+        this._sampleTimer = 0;
+        this._snapshotCounts = []; // [{ time, count }] over the last second, for the rate
+        this._clock = 0;
+
+        this.visible = false;
+        if (new URLSearchParams(window.location.search).has('netgraph')) this.toggle();
+
+        window.addEventListener('keydown', (e) => {
+            if (e.code !== 'F3') return;
+            e.preventDefault();
+            this.toggle();
+        });
+        this.toggleBtn.addEventListener('click', () => this.toggle());
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.el.classList.toggle('hidden', !this.visible);
+        if (this.visible) this._draw();
+    }
+
+    /**
+     * Called every tick. `getMetrics` is only invoked when a sample is due and
+     * returns { rtt, jitter, snapshots (lifetime count), bytesIn, bytesOut,
+     * buffer (ms, or null on the host), peers: [{ name, rtt, jitter, q }] }.
+     */
+    update(dt, getMetrics) {
+        this._clock += dt;
+        this._sampleTimer -= dt;
+        if (this._sampleTimer > 0) return;
+        this._sampleTimer = 1 / this.sampleRate;
+
+        const metrics = getMetrics();
+        const counts = this._snapshotCounts;
+        counts.push({ time: this._clock, count: metrics.snapshots });
+        if (counts.length > this.sampleRate + 1) counts.shift();
+        const first = counts[0];
+        const last = counts[counts.length - 1];
+        const span = last.time - first.time;
+        const sample = {
+            ...metrics,
+            snapshotRate: span > 0 ? (last.count - first.count) / span : 0
+        };
+
+        for (const graph of GRAPHS) {
+            const values = this.series.get(graph.key);
+            const value = sample[graph.key];
+            values.push(value === null || value === undefined ? null : value * (graph.scale || 1));
+            if (values.length > this.historyLength) values.shift();
+        }
+
+        if (this.visible) {
+            this._draw();
+            this._updatePeers(metrics.peers || []);
+        }
+    }
+
+    clear() {
+        for (const values of this.series.values()) values.length = 0;
+        this._snapshotCounts = [];
+        this._sampleTimer = 0;
+        this.peersEl.textContent = '';
+    }
+
+    _draw() {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        ctx.clearRect(0, 0, width, this.canvas.height);
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'top';
+
+        GRAPHS.forEach((graph, row) => {
+            const values = this.series.get(graph.key);
+            const top = row * ROW_HEIGHT;
+            const plotTop = top + 13;
+            const plotHeight = ROW_HEIGHT - 16;
+            const present = values.filter(v => v !== null);
+            const max = Math.max(graph.floor, ...present);
+            const latest = values.length ? values[values.length - 1] : null;
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.textAlign = 'left';
+            ctx.fillText(graph.label, 4, top + 2);
+            ctx.textAlign = 'right';
+            ctx.fillStyle = graph.color;
+            ctx.fillText(latest === null ? '—' : `${latest.toFixed(latest < 10 ? 1 : 0)} ${graph.unit}`, width - 4, top + 2);
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+            ctx.fillRect(4, plotTop, width - 8, plotHeight);
+
+            ctx.strokeStyle = graph.color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            let drawing = false;
+            const step = (width - 8) / (this.historyLength - 1);
+            values.forEach((v, i) => {
+                if (v === null) {
+                    drawing = false;
+                    return;
+                }
+                const x = 4 + i * step;
+                const y = plotTop + plotHeight - Math.min(1, v / max) * plotHeight;
+                if (drawing) ctx.lineTo(x, y);
+                else ctx.moveTo(x, y);
+                drawing = true;
+            });
+            ctx.stroke();
+        });
+    }
+
+    _updatePeers(peers) {
+        this.peersEl.textContent = '';
+        for (const peer of peers) {
+            const row = document.createElement('div');
+            row.className = 'net-peer';
+            const bars = document.createElement('span');
+            bars.className = 'link-bars';
+            bars.dataset.q = peer.q;
+            for (let i = 0; i < 3; i++) bars.appendChild(document.createElement('i'));
+            const label = document.createElement('span');
+            label.textContent = `${peer.name}  ${Math.round(peer.rtt)} ms ±${Math.round(peer.jitter)}`;
+            row.appendChild(bars);
+            row.appendChild(label);
+            this.peersEl.appendChild(row);
+        }
+    }
+}
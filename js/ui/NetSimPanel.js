@@ -0,0 +1,71 @@
+// =============================================
+// NetSimPanel.js — Controls for the network condition simulator
+// =============================================
+
+import { SIM_FIELDS } from '../network/NetSimulator.js';
+
+const LABELS = {
+    lag: 'LAG ms',
+    jitter: 'JITTER ms',
+    loss: 'LOSS %',
+    dup: 'DUP %',
+    reorder: 'REORDER %'
+};
+
+/**
+ * A small grid under the diagnostics graphs: one row per knob, one column
+ * per direction (↑ what we send, ↓ what we receive). Changes apply live.
+ */
+export class NetSimPanel {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.el = document.getElementById('net-sim');
+        this.inputs = []; // [{ input, direction, field }]
+        this._build();
+    }
+
+    _build() {
+        const header = document.createElement('div');
+        header.className = 'net-sim-row net-sim-header';
+        for (const text of ['SIMULATE', '↑ OUT', '↓ IN']) {
+            const cell = document.createElement('span');
+            cell.textContent = text;
+            header.appendChild(cell);
+        }
+        this.el.appendChild(header);
+
+        for (const field of SIM_FIELDS) {
+            const row = document.createElement('div');
+            row.className = 'net-sim-row';
+            const label = document.createElement('span');
+            label.textContent = LABELS[field];
+            row.appendChild(label);
+
+            for (const direction of ['out', 'in']) {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.max = field === 'lag' || field === 'jitter' ? '2000' : '100';
+                input.addEventListener('change', () => {
+                    this.simulator.configure(direction, { [field]: input.value });
+                    this.refresh();
+                });
+                // Typing digits shouldn't also steer the astronaut
+                input.addEventListener('keydown', (e) => e.stopPropagation());
+                row.appendChild(input);
+                this.inputs.push({ input, direction, field });
+            }
+            this.el.appendChild(row);
+        }
+        this.refresh();
+    }
+
+    /**
+     * Show the simulator's current (clamped) settings
+     */
+    refresh() {
+        for (const { input, direction, field } of this.inputs) {
+            input.value = this.simulator.settings[direction][field];
+        }
+    }
+}
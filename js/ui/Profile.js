@@ -0,0 +1,50 @@
+// =============================================
+// Profile.js — Nickname, colour and cosmetic, kept between visits
+// =============================================
+
+import { PLAYER_COLORS, COSMETICS } from '../entities/Player.js';
+
+const STORAGE_KEY = 'ipvp-profile';
+export const NAME_MAX_LENGTH = 14;
+
+/**
+ * A profile with every field safe to show: the name is trimmed, stripped of
+ * control characters and shortened; unknown colours become null (the host
+ * picks one) and unknown cosmetics 'none'. The host runs every client's
+ * profile through this.
+ */
+export function sanitizeProfile(profile) {
+    const p = profile && typeof profile === 'object' ? profile : {};
+    const name = typeof p.name === 'string'
+        ? p.name.replace(/[\u0000-\u001f\u007f-\u009f]/g, '').trim().slice(0, NAME_MAX_LENGTH)
+        : '';
+    return {
+        name,
+        color: PLAYER_COLORS.includes(p.color) ? p.color : null,
+        cosmetic: Object.hasOwn(COSMETICS, p.cosmetic) ? p.cosmetic : 'none'
+    };
+}
+
+/**
+ * The profile saved in this browser (empty name and no colour the first time)
+ */
+export function loadProfile() {
+    try {
+        return sanitizeProfile(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+    } catch (e) {
+        return sanitizeProfile(null);
+    }
+}
+
+/**
+ * Clean up and remember `profile`; returns what was stored
+ */
+export function saveProfile(profile) {
+    const clean = sanitizeProfile(profile);
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(clean));
+    } catch (e) {
+        // Storage blocked (private mode): the profile lasts until reload
+    }
+    return clean;
+}
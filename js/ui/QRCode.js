@@ -0,0 +1,336 @@
+// =============================================
+// QRCode.js — Minimal QR code generator (byte mode, error correction L)
+// =============================================
+
+// Per version: error correction codewords per block, then [blocks, data codewords per block] groups
+const EC_BLOCKS = [
+    null,
+    [7, [1, 19]],
+    [10, [1, 34]],
+    [15, [1, 55]],
+    [20, [1, 80]],
+    [26, [1, 108]],
+    [18, [2, 68]],
+    [20, [2, 78]],
+    [24, [2, 97]],
+    [30, [2, 116]],
+    [18, [2, 68], [2, 69]]
+];
+const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+const MAX_VERSION = EC_BLOCKS.length - 1;
+const ECL_LOW = 1; // Format bits for level L
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Encode `text` (UTF-8) as a QR code. Returns rows of booleans, true for a
+ * dark module, without the quiet zone. Throws if it's too long (~270 bytes).
+ */
+export function encodeQR(text) {
+    const bytes = new TextEncoder().encode(text);
+    let version = 1;
+    while (version <= MAX_VERSION && dataCapacity(version) * 8 < 4 + countBits(version) + bytes.length * 8) {
+        version++;
+    }
+    if (version > MAX_VERSION) throw new Error('Text too long for a QR code');
+
+    const codewords = interleave(version, dataCodewords(version, bytes));
+    const qr = new Matrix(version);
+    qr.drawFunctionPatterns();
+    qr.placeData(codewords);
+
+    // Keep the mask that leaves the fewest scanner-confusing patterns
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        const candidate = qr.withMask(mask);
+        const penalty = candidate.penalty();
+        if (!best || penalty < best.penalty) best = { candidate, penalty };
+    }
+    return best.candidate.modules;
+}
+
+/**
+ * Draw `text` as a QR code filling `canvas`, with the standard 4-module quiet zone
+ */
+export function drawQR(canvas, text, dark = '#000', light = '#fff') {
+    const modules = encodeQR(text);
+    const count = modules.length + 8;
+    const scale = Math.floor(Math.min(canvas.width, canvas.height) / count);
+    const offset = Math.floor((canvas.width - scale * count) / 2) + 4 * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = light;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = dark;
+    modules.forEach((row, y) => row.forEach((on, x) => {
+        if (on) ctx.fillRect(offset + x * scale, offset + y * scale, scale, scale);
+    }));
+}
+
+// ---- Codewords ----
+
+function countBits(version) {
+    return version < 10 ? 8 : 16;
+}
+
+function dataCapacity(version) {
+    const [, ...groups] = EC_BLOCKS[version];
+    return groups.reduce((sum, [blocks, size]) => sum + blocks * size, 0);
+}
+
+function dataCodewords(version, bytes) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4); // Byte mode
+    push(bytes.length, countBits(version));
+    for (const b of bytes) push(b, 8);
+
+    const capacity = dataCapacity(version) * 8;
+    push(0, Math.min(4, capacity - bits.length)); // Terminator
+    push(0, (8 - bits.length % 8) % 8);
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) codewords.push(pad);
+    return codewords;
+}
+
+/**
+ * Split into blocks, add Reed-Solomon error correction to each and
+ * interleave them the way scanners expect
+ */
+function interleave(version, data) {
+    const [ecLength, ...groups] = EC_BLOCKS[version];
+    const divisor = rsDivisor(ecLength);
+    const blocks = [];
+    let offset = 0;
+    for (const [count, size] of groups) {
+        for (let i = 0; i < count; i++) {
+            const block = data.slice(offset, offset + size);
+            offset += size;
+            blocks.push({ data: block, ec: rsRemainder(block, divisor) });
+        }
+    }
+
+    const result = [];
+    const longest = Math.max(...blocks.map(b => b.data.length));
+    for (let i = 0; i < longest; i++) {
+        for (const block of blocks) if (i < block.data.length) result.push(block.data[i]);
+    }
+    for (let i = 0; i < ecLength; i++) {
+        for (const block of blocks) result.push(block.ec[i]);
+    }
+    return result;
+}
+
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    }
+    return result;
+}
+
+// ---- Module matrix ----
+
+class Matrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    _set(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const size = this.size;
+        for (let i = 0; i < size; i++) {
+            this._set(6, i, i % 2 === 0);
+            this._set(i, 6, i % 2 === 0);
+        }
+        this._finder(3, 3);
+        this._finder(size - 4, 3);
+        this._finder(3, size - 4);
+
+        const positions = ALIGNMENT[this.version];
+        const last = positions.length - 1;
+        positions.forEach((y, i) => positions.forEach((x, j) => {
+            // Skip the three corners taken by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this._set(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        this._formatBits(0); // Reserve the area; rewritten once the mask is chosen
+        this._versionBits();
+    }
+
+    _finder(cx, cy) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx, y = cy + dy;
+                if (x < 0 || y < 0 || x >= this.size || y >= this.size) continue;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                this._set(x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    }
+
+    _formatBits(mask) {
+        const data = (ECL_LOW << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+        const size = this.size;
+
+        for (let i = 0; i <= 5; i++) this._set(8, i, bit(i));
+        this._set(8, 7, bit(6));
+        this._set(8, 8, bit(7));
+        this._set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this._set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this._set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this._set(8, size - 15 + i, bit(i));
+        this._set(8, size - 8, true); // Always dark
+    }
+
+    _versionBits() {
+        if (this.version < 7) return;
+        let rem = this.version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (this.version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this._set(a, b, dark);
+            this._set(b, a, dark);
+        }
+    }
+
+    /**
+     * Zigzag the codewords up and down two-column strips from the bottom right
+     */
+    placeData(codewords) {
+        const size = this.size;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            const upward = ((right + 1) & 2) === 0;
+            for (let vert = 0; vert < size; vert++) {
+                const y = upward ? size - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (this.reserved[y][x]) continue;
+                    // Remainder bits past the last codeword stay light
+                    if (i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    }
+                    i++;
+                }
+            }
+        }
+    }
+
+    withMask(mask) {
+        const copy = new Matrix(this.version);
+        const test = MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                copy.reserved[y][x] = this.reserved[y][x];
+                copy.modules[y][x] = this.modules[y][x] !== (!this.reserved[y][x] && test(x, y));
+            }
+        }
+        copy._formatBits(mask);
+        return copy;
+    }
+
+    /**
+     * Standard mask penalty: long runs, 2×2 blocks, finder look-alikes and
+     * dark/light imbalance
+     */
+    penalty() {
+        const size = this.size;
+        const m = this.modules;
+        let score = 0;
+        const finderLike = [true, false, true, true, true, false, true, false, false, false, false];
+        const matches = (get, start) => {
+            const forward = finderLike.every((v, k) => get(start + k) === v);
+            const backward = finderLike.every((v, k) => get(start + finderLike.length - 1 - k) === v);
+            return (forward ? 1 : 0) + (backward ? 1 : 0);
+        };
+
+        for (let line = 0; line < size; line++) {
+            for (const get of [i => m[line][i], i => m[i][line]]) {
+                let run = 1;
+                for (let i = 1; i <= size; i++) {
+                    if (i < size && get(i) === get(i - 1)) {
+                        run++;
+                    } else {
+                        if (run >= 5) score += run - 2;
+                        run = 1;
+                    }
+                }
+                for (let i = 0; i + finderLike.length <= size; i++) score += 40 * matches(get, i);
+            }
+        }
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (m[y][x]) dark++;
+                if (x + 1 < size && y + 1 < size &&
+                    m[y][x] === m[y][x + 1] && m[y][x] === m[y + 1][x] && m[y][x] === m[y + 1][x + 1]) {
+                    score += 3;
+                }
+            }
+        }
+        score += 10 * Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5);
+        return score;
+    }
+}
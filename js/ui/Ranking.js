@@ -2,11 +2,18 @@
 // Ranking.js — End-of-match scoreboard
 // =============================================
 
+import { COSMETICS } from '../entities/Player.js';
+
 export class Ranking {
     constructor() {
         this.listEl = document.getElementById('ranking-list');
         this.onRematch = null;
         this.onMenu = null;
+        this.onLobby = null;
+        this.onWatchReplay = null;
+        this.onSaveReplay = null;
+        this.btnLobby = document.getElementById('btn-lobby');
+        this.replayActions = document.getElementById('replay-actions');
 
         document.getElementById('btn-rematch').addEventListener('click', () => {
             if (this.onRematch) this.onRematch();
@@ -15,6 +22,32 @@ export class Ranking {
         document.getElementById('btn-menu').addEventListener('click', () => {
             if (this.onMenu) this.onMenu();
         });
+
+        this.btnLobby.addEventListener('click', () => {
+            if (this.onLobby) this.onLobby();
+        });
+
+        document.getElementById('btn-watch-replay').addEventListener('click', () => {
+            if (this.onWatchReplay) this.onWatchReplay();
+        });
+
+        document.getElementById('btn-save-replay').addEventListener('click', () => {
+            if (this.onSaveReplay) this.onSaveReplay();
+        });
+    }
+
+    /**
+     * Offer the replay of the match just played, if it was recorded
+     */
+    setReplay(available) {
+        this.replayActions.classList.toggle('hidden', !available);
+    }
+
+    /**
+     * Only the host can take the room back to the lobby (e.g. to seat spectators)
+     */
+    setHost(isHost) {
+        this.btnLobby.classList.toggle('hidden', !isHost);
     }
 
     /**
@@ -43,7 +76,8 @@ export class Ranking {
 
             const name = document.createElement('span');
             name.className = 'rank-name';
-            name.textContent = player.name;
+            const icon = COSMETICS[player.cosmetic]?.icon;
+            name.textContent = icon ? `${icon} ${player.name}` : player.name;
             name.style.color = player.color;
 
             const stats = document.createElement('div');
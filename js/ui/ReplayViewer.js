@@ -0,0 +1,137 @@
+// =============================================
+// ReplayViewer.js — Replay controls, and saving/opening replay files
+// =============================================
+
+import { ReplayPlayer } from '../systems/Replay.js';
+
+/**
+ * Download `recording` as a .json file
+ */
+export function downloadReplay(recording) {
+    const stamp = (recording.recordedAt || new Date().toISOString()).slice(0, 16).replace(/[T:]/g, '-');
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ipvp-replay-${stamp}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Read a replay file the player picked. Rejects with a message fit to
+ * show them if it isn't one.
+ */
+export async function readReplayFile(file) {
+    let recording;
+    try {
+        recording = JSON.parse(await file.text());
+    } catch (e) {
+        throw new Error('That isn\'t a replay file.');
+    }
+    new ReplayPlayer(recording); // Throws if it can't be played
+    return recording;
+}
+
+const formatTime = (seconds) => {
+    const s = Math.floor(seconds);
+    return `${Math.floor(s / 60)}:${(s % 60).toString().padStart(2, '0')}`;
+};
+
+/**
+ * The bar under a replay: play/pause, a timeline to scrub, playback speed
+ * and the camera mode. Space toggles play too.
+ */
+export class ReplayViewer {
+    constructor() {
+        this.hudEl = document.getElementById('hud');
+        this.el = document.getElementById('replay-bar');
+        this.btnPlay = document.getElementById('btn-replay-play');
+        this.seekInput = document.getElementById('replay-seek');
+        this.timeEl = document.getElementById('replay-time');
+        this.btnSpeed = document.getElementById('btn-replay-speed');
+        this.btnCamera = document.getElementById('btn-replay-camera');
+
+        this.speeds = [0.25, 0.5, 1, 2, 4];
+        this._speedIndex = 2;
+        this._scrubbing = false;   // Slider held: don't move it under the pointer
+
+        this.onTogglePlay = null;
+        this.onSpeed = null;       // (speed)
+        this.onSeek = null;        // (seconds)
+        this.onToggleCamera = null;
+        this.onClose = null;
+
+        this._bind();
+    }
+
+    _bind() {
+        this.btnPlay.addEventListener('click', () => {
+            if (this.onTogglePlay) this.onTogglePlay();
+        });
+        this.btnSpeed.addEventListener('click', () => {
+            this._speedIndex = (this._speedIndex + 1) % this.speeds.length;
+            this._showSpeed();
+            if (this.onSpeed) this.onSpeed(this.speeds[this._speedIndex]);
+        });
+        this.btnCamera.addEventListener('click', () => {
+            if (this.onToggleCamera) this.onToggleCamera();
+        });
+        document.getElementById('btn-replay-close').addEventListener('click', () => {
+            if (this.onClose) this.onClose();
+        });
+
+        this.seekInput.addEventListener('pointerdown', () => { this._scrubbing = true; });
+        this.seekInput.addEventListener('input', () => {
+            if (this.onSeek) this.onSeek(parseFloat(this.seekInput.value));
+        });
+        window.addEventListener('pointerup', () => { this._scrubbing = false; });
+        // The arrow keys are for the free camera, not the slider
+        this.seekInput.addEventListener('keydown', (e) => e.preventDefault());
+
+        window.addEventListener('keydown', (e) => {
+            if (!this.visible || e.code !== 'Space') return;
+            e.preventDefault();
+            // A focused button would otherwise take the Space press as a click too
+            if (this.el.contains(document.activeElement)) document.activeElement.blur();
+            if (this.onTogglePlay) this.onTogglePlay();
+        });
+    }
+
+    get visible() {
+        return !this.el.classList.contains('hidden');
+    }
+
+    show(duration) {
+        this.seekInput.max = duration;
+        this._speedIndex = this.speeds.indexOf(1);
+        this._showSpeed();
+        this.el.classList.remove('hidden');
+        this.hudEl.classList.add('replay');
+    }
+
+    hide() {
+        this.el.classList.add('hidden');
+        this.hudEl.classList.remove('replay');
+        this._scrubbing = false;
+    }
+
+    /**
+     * Reflect the player's clock and state (a ReplayPlayer)
+     */
+    update(player) {
+        this.btnPlay.textContent = player.playing ? 'PAUSE' : 'PLAY';
+        if (!this._scrubbing) this.seekInput.value = player.time;
+        this.timeEl.textContent = `${formatTime(player.time)} / ${formatTime(player.duration)}`;
+    }
+
+    setCameraMode(mode) {
+        this.btnCamera.textContent = mode === 'free' ? 'FREE CAM' : 'DIRECTOR';
+    }
+
+    _showSpeed() {
+        this.btnSpeed.textContent = `${this.speeds[this._speedIndex]}×`;
+    }
+}
@@ -0,0 +1,82 @@
+// =============================================
+// sim-check.mjs — Headless match check for CI
+// =============================================
+//
+// Usage: node scripts/sim-check.mjs [seed] [ticks]    (default seed 1, 20000 ticks)
+//
+// Plays a seeded four-bot match on the real MatchSimulation, twice, and
+// fails (exit code 1) unless it ends within `ticks` ticks at 60 Hz and both
+// runs finish in exactly the same state. No browser, no dependencies.
+
+import { MatchSimulation } from '../js/systems/MatchSimulation.js';
+
+const SEED = Number(process.argv[2] || 1);
+const MAX_TICKS = Number(process.argv[3] || 20000);
+const DT = 1 / 60;
+const ROSTER = [0, 1, 2, 3].map(index => ({ id: `bot-${index}`, index }));
+
+// Every bot runs about, hops now and then and shoots at whoever is nearest.
+// Inputs depend only on the tick and the match, so they replay exactly too.
+function botInputs(sim, tick) {
+    const inputs = new Map();
+    for (const player of sim.players) {
+        if (!player.alive) continue;
+        const target = nearestEnemy(player, sim.players);
+        inputs.set(player.id, {
+            moveX: Math.sin(tick / 40 + player.index * 1.7) > 0 ? 1 : -1,
+            jump: (tick + player.index * 23) % 120 === 0,
+            aimTarget: target,
+            shootTarget: target && (tick + player.index) % 12 === 0 ? target : null
+        });
+    }
+    return inputs;
+}
+
+function nearestEnemy(player, players) {
+    let best = null;
+    let bestDistSq = Infinity;
+    for (const other of players) {
+        if (other === player || !other.alive) continue;
+        const distSq = (other.x - player.x) ** 2 + (other.y - player.y) ** 2;
+        if (distSq < bestDistSq) {
+            best = other;
+            bestDistSq = distSq;
+        }
+    }
+    return best && { x: best.x, y: best.y };
+}
+
+function runMatch(seed) {
+    const sim = new MatchSimulation();
+    sim.setup(ROSTER, seed);
+    let ticks = 0;
+    while (!sim.over && ticks < MAX_TICKS) {
+        sim.step(botInputs(sim, ticks), DT);
+        ticks++;
+    }
+    const state = JSON.stringify(sim.serialize());
+    return { ticks, over: sim.over, rankings: sim.rankings(), state };
+}
+
+// The jump code logs every jump; keep the output to the verdict
+const log = console.log;
+console.log = () => {};
+const first = runMatch(SEED);
+const second = runMatch(SEED);
+console.log = log;
+
+let failed = false;
+if (!first.over) {
+    console.error(`[SIM] Seed ${SEED}: match still running after ${MAX_TICKS} ticks`);
+    failed = true;
+}
+if (first.ticks !== second.ticks || first.state !== second.state ||
+    JSON.stringify(first.rankings) !== JSON.stringify(second.rankings)) {
+    console.error(`[SIM] Seed ${SEED}: two runs of the same match came out different`);
+    failed = true;
+}
+
+const kills = first.rankings.map(r => `${r.name} ${r.kills}/${r.deaths}`).join(', ');
+console.log(`[SIM] Seed ${SEED}: ${first.ticks} ticks (${(first.ticks * DT).toFixed(1)} s), kills/deaths: ${kills}`);
+if (failed) process.exit(1);
+console.log('[SIM] OK: the match ends and replays identically');
@@ -0,0 +1,278 @@
+// =============================================
+// relay.js — Offline LAN server: static files + WebSocket room relay
+// =============================================
+//
+// Usage: node server/relay.js [port]     (default 8787)
+// Then open http://<this-machine>:8787/?net=ws on every device.
+//
+// No dependencies: the WebSocket handshake and framing are done by hand.
+// The relay knows nothing about the game — it only routes messages inside
+// a room, using the protocol spoken by js/network/transports/WebSocketTransport.js.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const MIME = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// roomCode -> { host: Client, clients: Map<id, Client> }
+const rooms = new Map();
+
+// ---- Static files ----
+function serveStatic(req, res) {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+    if (!filePath.startsWith(ROOT + path.sep) || filePath.includes(`${path.sep}.`)) {
+        res.writeHead(403).end();
+        return;
+    }
+    fs.readFile(filePath, (err, body) => {
+        if (err) {
+            res.writeHead(404).end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(body);
+    });
+}
+
+// ---- WebSocket framing ----
+class Client {
+    constructor(socket) {
+        this.socket = socket;
+        this.id = '';
+        this.room = null;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = 0;
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.socket.destroyed) return;
+        const len = payload.length;
+        let header;
+        if (len < 126) {
+            header = Buffer.from([0x80 | opcode, len]);
+        } else if (len < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(len, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(len), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    sendJson(msg) {
+        this.sendFrame(0x1, Buffer.from(JSON.stringify(msg)));
+    }
+
+    sendBinary(fromId, payload) {
+        const id = Buffer.from(fromId);
+        this.sendFrame(0x2, Buffer.concat([Buffer.from([id.length]), id, payload]));
+    }
+
+    close() {
+        if (!this.socket.destroyed) {
+            this.sendFrame(0x8, Buffer.alloc(0));
+            this.socket.end();
+        }
+    }
+
+    /**
+     * Parse as many complete frames as the buffer holds
+     */
+    feed(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (this.buffer.length >= 2) {
+            const b0 = this.buffer[0];
+            const b1 = this.buffer[1];
+            const fin = (b0 & 0x80) !== 0;
+            const opcode = b0 & 0x0f;
+            const masked = (b1 & 0x80) !== 0;
+            let len = b1 & 0x7f;
+            let offset = 2;
+
+            if (len === 126) {
+                if (this.buffer.length < 4) return;
+                len = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (len === 127) {
+                if (this.buffer.length < 10) return;
+                len = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            const maskLen = masked ? 4 : 0;
+            if (this.buffer.length < offset + maskLen + len) return;
+
+            const mask = masked ? this.buffer.subarray(offset, offset + 4) : null;
+            const payload = Buffer.from(this.buffer.subarray(offset + maskLen, offset + maskLen + len));
+            if (mask) {
+                for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+            }
+            this.buffer = this.buffer.subarray(offset + maskLen + len);
+
+            if (opcode === 0x8) {
+                this.close();
+                return;
+            }
+            if (opcode === 0x9) {
+                this.sendFrame(0xA, payload);
+                continue;
+            }
+            if (opcode === 0xA) continue;
+
+            // Text / binary, possibly fragmented
+            if (opcode !== 0) this.fragmentOpcode = opcode;
+            this.fragments.push(payload);
+            if (!fin) continue;
+
+            const message = Buffer.concat(this.fragments);
+            this.fragments = [];
+            onMessage(this, this.fragmentOpcode, message);
+        }
+    }
+}
+
+// ---- Room routing ----
+function onMessage(client, opcode, message) {
+    if (opcode === 0x2) {
+        // Binary: [u8 idLength][target id][payload]
+        const idLen = message[0];
+        const target = message.subarray(1, 1 + idLen).toString();
+        route(client, target, (peer) => peer.sendBinary(client.id, message.subarray(1 + idLen)));
+        return;
+    }
+
+    let msg;
+    try {
+        msg = JSON.parse(message.toString());
+    } catch (err) {
+        return;
+    }
+
+    switch (msg.op) {
+        case 'host': {
+            const code = String(msg.room || '').toUpperCase();
+            if (!code || rooms.has(code)) {
+                client.sendJson({ op: 'error', type: 'unavailable-id', message: `Room ${code} is taken` });
+                return;
+            }
+            client.id = 'ipvp-' + code;
+            client.room = code;
+            rooms.set(code, { host: client, clients: new Map() });
+            client.sendJson({ op: 'open', id: client.id });
+            console.log(`[RELAY] Room ${code} opened`);
+            break;
+        }
+        case 'join': {
+            const code = String(msg.room || '').toUpperCase();
+            const room = rooms.get(code);
+            if (!room) {
+                client.sendJson({ op: 'error', type: 'peer-unavailable', message: `Room ${code} not found` });
+                return;
+            }
+            client.id = 'ws-' + crypto.randomBytes(4).toString('hex');
+            client.room = code;
+            room.clients.set(client.id, client);
+            client.sendJson({ op: 'open', id: client.id });
+            room.host.sendJson({ op: 'peer-join', peer: client.id });
+            break;
+        }
+        case 'send':
+            route(client, msg.to, (peer) => peer.sendJson({ op: 'data', from: client.id, data: msg.data }));
+            break;
+        case 'kick': {
+            const room = rooms.get(client.room);
+            if (!room || room.host !== client) return;
+            const peer = room.clients.get(msg.peer);
+            if (peer) {
+                room.clients.delete(peer.id);
+                peer.sendJson({ op: 'peer-leave', peer: client.id });
+                peer.room = null;
+                peer.close();
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * Deliver to a peer of the sender's room ('*' = every other member)
+ */
+function route(client, target, deliver) {
+    const room = rooms.get(client.room);
+    if (!room) return;
+    if (client === room.host) {
+        if (target === '*') {
+            for (const peer of room.clients.values()) deliver(peer);
+        } else if (room.clients.has(target)) {
+            deliver(room.clients.get(target));
+        }
+    } else if (target === room.host.id || target === '*') {
+        deliver(room.host);
+    }
+}
+
+function onClose(client) {
+    const room = rooms.get(client.room);
+    if (!room) return;
+    if (room.host === client) {
+        rooms.delete(client.room);
+        for (const peer of room.clients.values()) {
+            peer.sendJson({ op: 'peer-leave', peer: client.id });
+            peer.room = null;
+        }
+        console.log(`[RELAY] Room ${client.room} closed`);
+    } else if (room.clients.delete(client.id)) {
+        room.host.sendJson({ op: 'peer-leave', peer: client.id });
+    }
+    client.room = null;
+}
+
+// ---- Server ----
+const server = http.createServer(serveStatic);
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+        socket.destroy();
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+
+    const client = new Client(socket);
+    socket.on('data', (chunk) => client.feed(chunk));
+    socket.on('close', () => onClose(client));
+    socket.on('error', () => socket.destroy());
+});
+
+server.listen(PORT, () => {
+    console.log(`[RELAY] Serving ${ROOT} and relaying on port ${PORT}`);
+});